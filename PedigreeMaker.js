@@ -7,25 +7,42 @@
  *
  * Core Principles:
  * - Layout is primarily controlled via x/y grid coordinates in the data.
+ * - Alternatively, `layout: 'auto'` derives generations and positions from the relationships.
  * - An optional layout optimizer can reorder siblings to prevent line-crossing.
  * - Appearance is controlled via a configuration object.
  * - The library is data-driven; drawing logic is separate from family data.
  * - NEW: Interactive drag-and-drop functionality for repositioning nodes.
+ * - Drawing goes through a Canvas 2D compatible context, so the same chart can also be produced as SVG or PDF.
  */
 
 class PedigreeMaker {
     /**
      * Initializes the pedigree chart.
-     * @param {string} canvasId The ID of the HTML canvas element to draw on.
+     * @param {string|Object} canvasId The ID of the HTML canvas element to draw on, or a canvas-like
+     *        object with getContext() (e.g. node-canvas or OffscreenCanvas), or a Canvas 2D compatible
+     *        context such as a PedigreeMaker.SVGContext for headless rendering.
      * @param {Array<Object>} pedigreeData An array of objects, where each object represents an individual.
      * @param {Object} [options] A configuration object to customize the appearance.
      */
     constructor(canvasId, pedigreeData, options = {}) {
-        this.canvas = document.getElementById(canvasId);
-        if (!this.canvas) {
-            throw new Error(`Canvas element with ID "${canvasId}" not found.`);
+        if (typeof canvasId === 'string') {
+            if (typeof document === 'undefined') {
+                throw new Error(`Cannot look up canvas "${canvasId}" without a DOM; pass a canvas or context instead.`);
+            }
+            this.canvas = document.getElementById(canvasId);
+            if (!this.canvas) {
+                throw new Error(`Canvas element with ID "${canvasId}" not found.`);
+            }
+            this.ctx = this.canvas.getContext('2d');
+        } else if (canvasId && typeof canvasId.getContext === 'function') {
+            this.canvas = canvasId;
+            this.ctx = this.canvas.getContext('2d');
+        } else if (canvasId && typeof canvasId.beginPath === 'function') {
+            this.ctx = canvasId;
+            this.canvas = canvasId.canvas;
+        } else {
+            throw new Error('Expected a canvas element id, a canvas or a drawing context.');
         }
-        this.ctx = this.canvas.getContext('2d');
         
         // Create a deep copy of the data to allow for modifications by the optimizer
         this.data = JSON.parse(JSON.stringify(pedigreeData));
@@ -39,10 +56,48 @@ class PedigreeMaker {
             lineWidth: 2,
             lineColor: '#333',
             font: '12px Arial',
+            background: null, // Fill colour behind the chart; transparent when null
+            theme: null, // A name from PedigreeMaker.themes ('print', 'highContrast', 'dark') or a theme object
+            // Line styles { color, width, dash } by connection type: 'partnership', 'descent'
+            // (couple to sibship line), 'sibship' and 'child' (sibship line to each child)
+            connectionStyles: {},
             probandArrowSize: 15,
+            pregnancyLossScale: 0.6, // Size of the pregnancy-loss triangle relative to nodeWidth
+            showDeceasedLabel: false, // Print "d." under deceased individuals without an ageAtDeath
+            showGenerationLabels: false, // Roman numerals for each generation down the left margin
+            showIndividualNumbers: false, // Label individuals I-1, I-2, II-1... from left to right
+            labelFields: null, // e.g. ['name', 'age', 'birthYear', 'diagnosis']; null prints `name` as written
+            header: null, // { title, date, informant } printed above the chart
             padding: { top: 50, left: 50 },
             autoLayoutOptimize: true,
+            detectConsanguinity: true, // Draw double partnership lines for couples with shared ancestry
+            inheritanceMode: null, // 'AD', 'AR', 'XLD' or 'XLR'; decides how heterozygous genotypes are drawn
+            showEvaluations: true, // Print "E+" / "E-" test results under tested individuals
+            showRiskLabels: false, // Print the posterior risks from calculateRisk() under each individual
+            layout: 'grid', // 'grid' uses the pos of each individual, 'auto' computes it from the relationships
+            validation: 'report', // What to do with invalid data: 'report' emits a 'validate' event with the issues,
+            // 'warn' also logs them, 'throw' rejects the data, 'off' skips checks
+            highlightInvalid: false, // Outline individuals involved in validation issues in red
             interactive: true, // NEW: Enable/disable interactivity
+            editable: false, // Right-click an individual to add relatives, edit or delete them
+            // Called with (person, rename) by the edit menu's "Edit name..." entry, which is only
+            // offered when set; show your own input and call rename(name) to apply it
+            onEditName: null,
+            historyLimit: 100, // Maximum number of changes that can be undone
+            zoomable: true, // Mouse-wheel / pinch zoom and panning by dragging empty space
+            dragSnap: 'half', // Grid resolution of dragged positions: 'whole', 'half' or 'free'
+            dragCollision: 'refuse', // Dropping onto another individual: 'refuse', 'shift' them aside, or 'allow'
+            dragGroup: 'single', // What moves with a dragged individual: 'single', 'couple' or 'subtree'
+            lockGenerations: true, // Keep dragged individuals in their row; hold Alt to move between rows
+            minZoom: 0.1,
+            maxZoom: 4,
+            pixelRatio: null, // Canvas pixels per CSS pixel; null follows window.devicePixelRatio
+            autoSize: false, // Resize the canvas on each render so the whole chart fits at the current zoom
+            responsive: false, // Fill the canvas' parent element and re-fit the chart when it is resized
+            lineageFromSelection: false, // Highlight the lineage between the proband and the selected individuals
+            dimOpacity: 0.25, // Opacity of individuals and lines outside a highlighted lineage
+            // Each phenotype has a facecolor, a description and an optional fillPattern:
+            // 'solid' (default), 'hatch', 'crosshatch', 'dots' or 'quadrant'
             phenotypes: {
                 'default_affected': {
                     facecolor: '#a9a9a9',
@@ -54,17 +109,85 @@ class PedigreeMaker {
         this.config = Object.assign({}, defaults, options);
         this.config.padding = Object.assign({}, defaults.padding, options.padding);
         this.config.phenotypes = Object.assign({}, defaults.phenotypes, options.phenotypes);
+        // Phenotype styles as configured, before a theme palette recolours them
+        this._basePhenotypes = this.config.phenotypes;
+        this._themePalette = null;
+        // Phenotypes drawn alike because the theme palette ran out; later changes are
+        // reported through the 'themeWarning' event
+        this.themeWarnings = [];
+        if (this.config.theme) {
+            this._applyTheme(this.config.theme, options);
+        }
         this.nodeCoords = {};
+        // Events for host applications; the data is validated before any handler can subscribe
+        this._listeners = {};
+        this.validationIssues = [];
+        this.riskResults = null;
+
+        // Branches folded into "+N" markers, the side shown and the highlighted lineage
+        this.collapsed = { descendants: new Set(), ancestors: new Set() };
+        this.collapseMarkers = [];
+        this.sideView = null;
+        this.lineageIds = [];
+        this._checkData();
+        // No handler can have subscribed yet, so the issues found here are emitted on the first render
+        this._validationPending = this.config.validation !== 'off';
+
+        // Individuals without a pos (or every individual in 'auto' mode) are placed by the layout engine
+        if (this._needsAutoLayout()) {
+            this._computeAutoLayout();
+        }
         
         // NEW: Interactive properties
         this.isDragging = false;
         this.dragTarget = null;
+        // Where the dragged individual started, everyone moved along with it and the
+        // positions of all individuals when the drag began
+        this.dragStartPos = null;
+        this.dragGroup = null;
+        this.dragOrigin = null;
+        this._originRows = null;
         this.dragOffset = { x: 0, y: 0 };
         this.lastMousePos = { x: 0, y: 0 };
+
+        // View transform: screen = chart * scale + offset
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.isPanning = false;
+        this._pinch = null;
+
+        // The canvas is sized in CSS pixels with a backing store pixelRatio times larger
+        this.pixelRatio = 1;
+        this._resizeObserver = null;
+        this._pixelRatioQuery = null;
+        this._setupCanvasSize();
+
+        // Interaction redraws are batched to one per animation frame; while dragging, the
+        // individuals that do not move are drawn once into a cached layer
+        this._frameRequest = null;
+        this._dragLayer = null;
+        this._spatialIndex = null;
+
+        // The current selection
+        this.selectedIds = new Set();
+        this.hoveredId = null;
+        this.pointerDown = null;
+        this.rubberBand = null;
+
+        // Keyboard focus and screen-reader output
+        this.focusedId = null;
+        this.liveRegion = null;
+        this.accessibleTable = null;
+        this._tableRequest = null;
+
+        // Undo/redo history of data snapshots
+        this.undoStack = [];
+        this.redoStack = [];
+        this._pendingChange = null;
         
-        // NEW: Setup interactivity if enabled
-        if (this.config.interactive) {
+        // NEW: Setup interactivity if enabled (only real canvas elements have events)
+        if (this.config.interactive && typeof this.canvas.addEventListener === 'function') {
             this._setupInteractivity();
+            this._setupAccessibility();
         }
     }
 
@@ -78,14 +201,22 @@ class PedigreeMaker {
         this.canvas.addEventListener('mousemove', (e) => this._handleMouseMove(e));
         this.canvas.addEventListener('mouseup', (e) => this._handleMouseUp(e));
         this.canvas.addEventListener('mouseleave', (e) => this._handleMouseUp(e));
+        this.canvas.addEventListener('wheel', (e) => this._handleWheel(e), { passive: false });
+        this.canvas.addEventListener('dblclick', (e) => this._handleDoubleClick(e));
         
         // Touch events for mobile support
         this.canvas.addEventListener('touchstart', (e) => this._handleTouchStart(e));
         this.canvas.addEventListener('touchmove', (e) => this._handleTouchMove(e));
         this.canvas.addEventListener('touchend', (e) => this._handleTouchEnd(e));
         
-        // Prevent context menu
-        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        // Replace the browser context menu with the edit menu
+        this.canvas.addEventListener('contextmenu', (e) => this._handleContextMenu(e));
+
+        // Keyboard shortcuts need the canvas to be focusable
+        if (!this.canvas.hasAttribute('tabindex')) {
+            this.canvas.setAttribute('tabindex', '0');
+        }
+        this.canvas.addEventListener('keydown', (e) => this._handleKeyDown(e));
         
         // Set initial cursor style
         this.canvas.style.cursor = 'default';
@@ -96,6 +227,14 @@ class PedigreeMaker {
      * @private
      */
     _getMousePosition(event) {
+        return this._screenToChart(this._getScreenPosition(event));
+    }
+
+    /**
+     * Get the pointer position relative to the canvas, before the view transform
+     * @private
+     */
+    _getScreenPosition(event) {
         const rect = this.canvas.getBoundingClientRect();
         return {
             x: event.clientX - rect.left,
@@ -103,6 +242,17 @@ class PedigreeMaker {
         };
     }
 
+    /**
+     * Converts a position on the canvas into chart coordinates, undoing pan and zoom
+     * @private
+     */
+    _screenToChart(point) {
+        return {
+            x: (point.x - this.view.x) / this.view.scale,
+            y: (point.y - this.view.y) / this.view.scale
+        };
+    }
+
     /**
      * NEW: Get touch position relative to canvas
      * @private
@@ -115,29 +265,34 @@ class PedigreeMaker {
         };
     }
 
+    /**
+     * Zooms around the pointer on mouse-wheel (and trackpad pinch) events
+     * @private
+     */
+    _handleWheel(event) {
+        if (!this.config.zoomable) return;
+        event.preventDefault();
+        const factor = Math.exp(-event.deltaY * (event.deltaMode === 1 ? 0.05 : 0.002));
+        this._zoomView(this.view.scale * factor, this._getScreenPosition(event));
+        this._scheduleRender();
+    }
+
     /**
      * NEW: Find which node (if any) is at the given position
      * @private
      */
     _findNodeAtPosition(x, y) {
-        for (const personId in this.nodeCoords) {
+        const index = this._getSpatialIndex();
+        const candidates = index.cells.get(this._getCellKey(index, x, y)) || [];
+        // Where symbols overlap, the one drawn first wins
+        for (const personId of candidates) {
             const coord = this.nodeCoords[personId];
             const dx = x - coord.x;
             const dy = y - coord.y;
             
-            // Check if point is within node bounds (circular for females, rectangular for males)
-            const person = this.data.find(p => p.id === personId);
-            let isInside = false;
-            
-            if (person.sex === 'F') {
-                // Circle detection
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                isInside = distance <= this.config.nodeWidth / 2;
-            } else {
-                // Rectangle detection
-                isInside = Math.abs(dx) <= this.config.nodeWidth / 2 && 
-                          Math.abs(dy) <= this.config.nodeHeight / 2;
-            }
+            // Check if point is within the individual's symbol
+            const person = this._getPerson(personId);
+            const isInside = person && this._isInsideShape(person, dx, dy);
             
             if (isInside) {
                 return person;
@@ -146,6 +301,45 @@ class PedigreeMaker {
         return null;
     }
 
+    /**
+     * A uniform grid over the drawn symbols for hit testing: each cell lists the ids of
+     * the symbols overlapping it, in drawing order. Rebuilt after the symbols move.
+     * @private
+     */
+    _getSpatialIndex() {
+        if (this._spatialIndex && this._spatialIndex.coords === this.nodeCoords) {
+            return this._spatialIndex;
+        }
+        const index = {
+            coords: this.nodeCoords,
+            size: Math.max(this.config.hSpacing, this.config.vSpacing, this.config.nodeWidth, this.config.nodeHeight),
+            cells: new Map()
+        };
+        Object.keys(this.nodeCoords).forEach(id => {
+            const { x, y, halfWidth, halfHeight } = this.nodeCoords[id];
+            const left = Math.floor((x - halfWidth) / index.size);
+            const right = Math.floor((x + halfWidth) / index.size);
+            const top = Math.floor((y - halfHeight) / index.size);
+            const bottom = Math.floor((y + halfHeight) / index.size);
+            for (let column = left; column <= right; column++) {
+                for (let row = top; row <= bottom; row++) {
+                    const key = `${column},${row}`;
+                    if (!index.cells.has(key)) index.cells.set(key, []);
+                    index.cells.get(key).push(id);
+                }
+            }
+        });
+        this._spatialIndex = index;
+        return index;
+    }
+
+    /**
+     * @private
+     */
+    _getCellKey(index, x, y) {
+        return `${Math.floor(x / index.size)},${Math.floor(y / index.size)}`;
+    }
+
     /**
      * NEW: Handle mouse down events
      * @private
@@ -153,22 +347,46 @@ class PedigreeMaker {
     _handleMouseDown(event) {
         const mousePos = this._getMousePosition(event);
         const clickedNode = this._findNodeAtPosition(mousePos.x, mousePos.y);
+        // Remembered to tell clicks from drags: pressing an individual only starts a drag
+        // once the pointer moves away
+        this.pointerDown = { screen: this._getScreenPosition(event), chart: mousePos, moved: false, node: clickedNode };
         
         if (clickedNode) {
-            this.isDragging = true;
-            this.dragTarget = clickedNode;
-            
             const nodeCoord = this.nodeCoords[clickedNode.id];
             this.dragOffset = {
                 x: mousePos.x - nodeCoord.x,
                 y: mousePos.y - nodeCoord.y
             };
             
+            this.canvas.style.cursor = 'grabbing';
+            event.preventDefault();
+        } else if (event.shiftKey) {
+            // Shift-dragging empty space selects everyone inside the rectangle
+            this.rubberBand = { start: mousePos, end: mousePos };
+            event.preventDefault();
+        } else if (this.config.zoomable) {
+            // Dragging empty space pans the view
+            this.isPanning = true;
+            this.panStart = { pointer: this._getScreenPosition(event), view: Object.assign({}, this.view) };
             this.canvas.style.cursor = 'grabbing';
             event.preventDefault();
         }
     }
 
+    /**
+     * Starts dragging an individual and everyone moved along with it, as one change.
+     * @private
+     */
+    _startDrag(node) {
+        this.isDragging = true;
+        this.dragTarget = node;
+        this.dragStartPos = Object.assign({}, node.pos);
+        this.dragGroup = this._getDragGroup(node);
+        this.dragOrigin = this._getPositions();
+        this._beginChange('move');
+        this._emit('dragStart', { id: node.id, ids: this.dragGroup.slice(), from: Object.assign({}, this.dragStartPos) });
+    }
+
     /**
      * NEW: Handle mouse move events
      * @private
@@ -176,6 +394,27 @@ class PedigreeMaker {
     _handleMouseMove(event) {
         const mousePos = this._getMousePosition(event);
         this.lastMousePos = mousePos;
+        if (this.pointerDown && !this.pointerDown.moved) {
+            const pointer = this._getScreenPosition(event);
+            this.pointerDown.moved = Math.hypot(pointer.x - this.pointerDown.screen.x, pointer.y - this.pointerDown.screen.y) > 3;
+            if (this.pointerDown.moved && this.pointerDown.node) {
+                this._startDrag(this.pointerDown.node);
+            }
+        }
+
+        if (this.rubberBand) {
+            this.rubberBand.end = mousePos;
+            this._scheduleRender();
+            return;
+        }
+
+        if (this.isPanning) {
+            const pointer = this._getScreenPosition(event);
+            this.view.x = this.panStart.view.x + pointer.x - this.panStart.pointer.x;
+            this.view.y = this.panStart.view.y + pointer.y - this.panStart.pointer.y;
+            this._scheduleRender();
+            return;
+        }
         
         if (this.isDragging && this.dragTarget) {
             // Calculate new position
@@ -183,19 +422,34 @@ class PedigreeMaker {
             const newPixelY = mousePos.y - this.dragOffset.y;
             
             // Convert pixel coordinates back to grid coordinates
-            const newGridX = Math.round((newPixelX - this.config.padding.left) / this.config.hSpacing);
-            const newGridY = Math.round((newPixelY - this.config.padding.top) / this.config.vSpacing);
-            
-            // Ensure coordinates are not negative
-            this.dragTarget.pos.x = Math.max(0, newGridX);
-            this.dragTarget.pos.y = Math.max(0, newGridY);
+            const origin = this._getOrigin();
+            const target = this._snapPosition(
+                (newPixelX - origin.x) / this.config.hSpacing,
+                (newPixelY - origin.y) / this.config.vSpacing
+            );
+            const allowVertical = !this.config.lockGenerations || event.altKey;
+            const dx = target.x - this.dragStartPos.x;
+            const dy = allowVertical ? target.y - this.dragStartPos.y : 0;
+
+            // A refused drop leaves the group at its last valid position
+            const previous = Object.assign({}, this.dragTarget.pos);
+            const moved = this._moveGroup(this.dragGroup, this.dragOrigin, dx, dy);
+            this.canvas.style.cursor = moved ? 'grabbing' : 'not-allowed';
             
             // Re-render the pedigree
-            this.render();
+            this._scheduleRender();
+            if (previous.x !== this.dragTarget.pos.x || previous.y !== this.dragTarget.pos.y) {
+                this._emit('dragMove', { id: this.dragTarget.id, ids: this.dragGroup.slice(), from: Object.assign({}, this.dragStartPos), to: Object.assign({}, this.dragTarget.pos) });
+            }
         } else {
             // Update cursor based on what's under the mouse
             const hoveredNode = this._findNodeAtPosition(mousePos.x, mousePos.y);
-            this.canvas.style.cursor = hoveredNode ? 'grab' : 'default';
+            this.canvas.style.cursor = hoveredNode ? 'grab' : this._findCollapseMarker(mousePos) ? 'pointer' : 'default';
+            const hoveredId = hoveredNode ? hoveredNode.id : null;
+            if (hoveredId !== this.hoveredId) {
+                this.hoveredId = hoveredId;
+                this._emit('nodeHover', { id: hoveredId, person: hoveredNode });
+            }
         }
     }
 
@@ -204,15 +458,320 @@ class PedigreeMaker {
      * @private
      */
     _handleMouseUp(event) {
+        const pointer = this.pointerDown;
+        const target = this.dragTarget || (pointer && pointer.node);
+        this.pointerDown = null;
+
+        if (this.rubberBand) {
+            const { start, end } = this.rubberBand;
+            this.rubberBand = null;
+            const inside = Object.keys(this.nodeCoords).filter(id => {
+                const { x, y } = this.nodeCoords[id];
+                return x >= Math.min(start.x, end.x) && x <= Math.max(start.x, end.x) &&
+                    y >= Math.min(start.y, end.y) && y <= Math.max(start.y, end.y);
+            });
+            this.render();
+            this.select(inside, { add: true });
+            return;
+        }
+        if (this.isPanning) {
+            this.isPanning = false;
+            this.canvas.style.cursor = 'default';
+            this._flushRender();
+        }
         if (this.isDragging) {
             this.isDragging = false;
             this.dragTarget = null;
             this.canvas.style.cursor = 'default';
+            // The layout optimizer only runs once the individuals are dropped
+            this.render();
+            this._commitChange();
+            this._emit('dragEnd', { id: target.id, ids: this.dragGroup.slice(), from: Object.assign({}, this.dragStartPos), to: Object.assign({}, target.pos) });
+            if (target.pos.x !== this.dragStartPos.x || target.pos.y !== this.dragStartPos.y) {
+                this._emitChange({ type: 'move', id: target.id });
+            }
             
             // Optional: Trigger a callback when a node is moved
             if (this.config.onNodeMoved && typeof this.config.onNodeMoved === 'function') {
                 this.config.onNodeMoved(this.data);
             }
+        } else if (target) {
+            this.canvas.style.cursor = 'default';
+        }
+
+        // A press without movement is a click: it selects (or with Shift toggles) an individual
+        if (pointer && !pointer.moved && event.type !== 'mouseleave') {
+            if (target) {
+                this._emit('nodeClick', { id: target.id, person: target, event });
+                if (event.shiftKey) {
+                    const selected = new Set(this.selectedIds);
+                    if (selected.has(target.id)) {
+                        selected.delete(target.id);
+                    } else {
+                        selected.add(target.id);
+                    }
+                    this._setSelection(selected);
+                } else {
+                    this.select([target.id]);
+                }
+            } else if (this._findCollapseMarker(pointer.chart)) {
+                const marker = this._findCollapseMarker(pointer.chart);
+                this.expand(marker.id, marker.direction);
+            } else if (!event.shiftKey) {
+                this.clearSelection();
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleDoubleClick(event) {
+        const mousePos = this._getMousePosition(event);
+        const node = this._findNodeAtPosition(mousePos.x, mousePos.y);
+        if (node) {
+            this._emit('nodeDoubleClick', { id: node.id, person: node, event });
+        }
+    }
+
+    /**
+     * Snaps a grid position to the `dragSnap` resolution. Rows stay whole unless snapping is 'free'.
+     * @private
+     */
+    _snapPosition(x, y) {
+        const step = { whole: 1, half: 0.5 }[this.config.dragSnap];
+        if (!step) {
+            return { x: Math.round(x * 100) / 100, y: Math.round(y * 100) / 100 };
+        }
+        return { x: Math.round(x / step) * step, y: Math.round(y) };
+    }
+
+    /**
+     * The individuals that move together with a dragged one: the selection when the
+     * individual is part of it, otherwise as set by `config.dragGroup`. A subtree holds the
+     * individual, their descendants and the partners who married into it.
+     * @private
+     */
+    _getDragGroup(person) {
+        if (this.selectedIds.has(person.id) && this.selectedIds.size > 1) {
+            return [...this.selectedIds];
+        }
+        if (this.config.dragGroup === 'couple') {
+            return [person.id, ...this._getPartnerIds(person.id)];
+        }
+        if (this.config.dragGroup !== 'subtree') {
+            return [person.id];
+        }
+
+        const group = new Set([person.id]);
+        const marriedIn = id => this._getPartnerIds(id).filter(partnerId => this._getParentIds(this._getPerson(partnerId)).length === 0);
+        marriedIn(person.id).forEach(id => group.add(id));
+        const stack = [person.id];
+        while (stack.length > 0) {
+            const parentId = stack.pop();
+            this.data.forEach(child => {
+                if (group.has(child.id) || !this._getParentIds(child).includes(parentId)) return;
+                group.add(child.id);
+                marriedIn(child.id).forEach(id => group.add(id));
+                stack.push(child.id);
+            });
+        }
+        return [...group];
+    }
+
+    /**
+     * Copies the position of every individual, keyed by id.
+     * @private
+     */
+    _getPositions() {
+        const positions = {};
+        this.data.forEach(person => {
+            positions[person.id] = Object.assign({}, person.pos);
+        });
+        return positions;
+    }
+
+    /**
+     * Places a group of individuals at their original positions plus an offset, handling
+     * overlaps with everyone else according to `config.dragCollision`. Positions are
+     * always derived from `origin`, so individuals shifted aside return when the group
+     * moves on.
+     * @private
+     * @returns {boolean} Whether the move was made; false when it was refused.
+     */
+    _moveGroup(ids, origin, dx, dy) {
+        const group = new Set(ids);
+        // Nobody may end up left of or above the first cell
+        dx = Math.max(dx, -Math.min(...ids.map(id => origin[id].x)));
+        dy = Math.max(dy, -Math.min(...ids.map(id => origin[id].y)));
+
+        const gap = this.config.nodeWidth / this.config.hSpacing;
+        const overlaps = (a, b) => Math.abs(a.x - b.x) < gap - 1e-9 && Math.abs(a.y - b.y) < 0.5;
+        const startOf = person => origin[person.id] || person.pos;
+        const members = ids.map(id => ({ x: origin[id].x + dx, y: origin[id].y + dy }));
+        // Only the rows the group lands in can collide; everyone else keeps (or returns to) their origin
+        const originRows = this._getOriginRows(origin);
+        const others = [];
+        originRows.rows.forEach((people, y) => {
+            if (!members.some(member => Math.abs(member.y - y) < 0.5)) return;
+            people.forEach(person => {
+                if (!group.has(person.id)) others.push(person);
+            });
+        });
+        const planned = new Map(others.map(person => [person.id, Object.assign({}, startOf(person))]));
+        ids.forEach((id, i) => planned.set(id, members[i]));
+
+        if (this.config.dragCollision === 'shift') {
+            // Push the rest of each row aside, keeping their spacing, far enough to clear the group
+            const rows = new Set(others.map(person => planned.get(person.id).y));
+            rows.forEach(y => {
+                const row = others.filter(person => planned.get(person.id).y === y).map(person => planned.get(person.id));
+                let rightFrom = Infinity, rightPush = 0, leftFrom = -Infinity, leftPush = 0;
+                row.forEach(pos => members.forEach(member => {
+                    if (!overlaps(pos, member)) return;
+                    if (pos.x >= member.x) {
+                        rightFrom = Math.min(rightFrom, pos.x);
+                        rightPush = Math.max(rightPush, member.x + gap - pos.x);
+                    } else {
+                        leftFrom = Math.max(leftFrom, pos.x);
+                        leftPush = Math.max(leftPush, pos.x - (member.x - gap));
+                    }
+                }));
+                row.forEach(pos => {
+                    if (pos.x >= rightFrom) pos.x += rightPush;
+                    else if (pos.x <= leftFrom) pos.x -= leftPush;
+                });
+            });
+        }
+
+        if (this.config.dragCollision !== 'allow') {
+            const blocked = others.some(person => planned.get(person.id).x < 0 ||
+                members.some(member => overlaps(planned.get(person.id), member)));
+            if (blocked) return false;
+        }
+
+        const place = (person, pos) => {
+            if (person.pos.x === pos.x && person.pos.y === pos.y) return;
+            // Individuals shifted aside are part of the cached drag layer
+            if (!group.has(person.id)) this._dragLayer = null;
+            person.pos.x = pos.x;
+            person.pos.y = pos.y;
+        };
+        originRows.placed.forEach(id => {
+            const person = this._getPerson(id);
+            if (person && !planned.has(id)) place(person, startOf(person));
+        });
+        planned.forEach((pos, id) => place(this._getPerson(id), pos));
+        originRows.placed = new Set(planned.keys());
+        return true;
+    }
+
+    /**
+     * Everyone grouped by their row in `origin`, and the ids the last move placed away
+     * from their origin, kept for as long as the same origin is used (one drag).
+     * @private
+     */
+    _getOriginRows(origin) {
+        if (!this._originRows || this._originRows.origin !== origin) {
+            const rows = new Map();
+            this.data.forEach(person => {
+                const y = (origin[person.id] || person.pos).y;
+                if (!rows.has(y)) rows.set(y, []);
+                rows.get(y).push(person);
+            });
+            this._originRows = { origin, rows, placed: new Set() };
+        }
+        return this._originRows;
+    }
+
+    /**
+     * Subscribes to a chart event. Events and their payloads:
+     * - 'nodeClick', 'nodeDoubleClick': { id, person, event }
+     * - 'nodeHover': { id, person }, with a null id when the pointer leaves an individual
+     * - 'selectionChange': { selected } with the selected ids
+     * - 'dragStart': { id, ids, from }; 'dragMove', 'dragEnd': { id, ids, from, to } with the grid
+     *   positions of the dragged individual and the ids of everyone moved along with it
+     * - 'dataChange': { data, change }, as passed to `config.onDataChange`
+     * - 'validate': { issues } after every check of the data, as returned by validate(); the
+     *   check made by the constructor is reported on the first render
+     * - 'themeWarning': { warnings } when setTheme() or updateConfig() leaves phenotypes sharing
+     *   a palette style, as listed in `themeWarnings`
+     * - 'render': no payload
+     * @param {string} eventName
+     * @param {Function} handler
+     * @returns {PedigreeMaker} The chart, for chaining.
+     */
+    on(eventName, handler) {
+        (this._listeners[eventName] = this._listeners[eventName] || []).push(handler);
+        return this;
+    }
+
+    /**
+     * Unsubscribes a handler, or every handler of the event when none is given.
+     * @param {string} eventName
+     * @param {Function} [handler]
+     * @returns {PedigreeMaker} The chart, for chaining.
+     */
+    off(eventName, handler) {
+        if (!this._listeners[eventName]) return this;
+        this._listeners[eventName] = handler ? this._listeners[eventName].filter(h => h !== handler) : [];
+        return this;
+    }
+
+    /**
+     * @private
+     */
+    _emit(eventName, detail) {
+        (this._listeners[eventName] || []).slice().forEach(handler => handler(detail));
+    }
+
+    /**
+     * @returns {Array<string>} The ids of the selected individuals.
+     */
+    getSelection() {
+        return [...this.selectedIds];
+    }
+
+    /**
+     * Selects individuals.
+     * @param {Array<string>} ids
+     * @param {Object} [options]
+     * @param {boolean} [options.add=false] Keep the current selection and add to it.
+     */
+    select(ids, options = {}) {
+        const selected = new Set(options.add ? this.selectedIds : []);
+        ids.forEach(id => {
+            if (this._getPerson(id)) selected.add(id);
+        });
+        this._setSelection(selected);
+    }
+
+    clearSelection() {
+        this._setSelection(new Set());
+    }
+
+    /**
+     * @private
+     */
+    _setSelection(selected) {
+        const same = selected.size === this.selectedIds.size && [...selected].every(id => this.selectedIds.has(id));
+        if (same) return;
+        this.selectedIds = selected;
+        this.render();
+        this._emit('selectionChange', { selected: this.getSelection() });
+    }
+
+    /**
+     * Opens the edit menu for the individual under the pointer when editing is enabled
+     * @private
+     */
+    _handleContextMenu(event) {
+        event.preventDefault();
+        if (!this.config.editable) return;
+        const mousePos = this._getMousePosition(event);
+        const person = this._findNodeAtPosition(mousePos.x, mousePos.y);
+        if (person) {
+            this.openEditMenu(person.id, event.clientX, event.clientY);
         }
     }
 
@@ -222,6 +781,13 @@ class PedigreeMaker {
      */
     _handleTouchStart(event) {
         event.preventDefault();
+        if (event.touches.length === 2 && this.config.zoomable) {
+            // A second finger turns any drag or pan into a pinch zoom
+            this.pointerDown = null;
+            this._handleMouseUp(event);
+            this._pinch = { start: this._getPinch(event), view: Object.assign({}, this.view) };
+            return;
+        }
         const touchPos = this._getTouchPosition(event);
         this._handleMouseDown({
             clientX: touchPos.x + this.canvas.getBoundingClientRect().left,
@@ -236,6 +802,23 @@ class PedigreeMaker {
      */
     _handleTouchMove(event) {
         event.preventDefault();
+        if (this._pinch && event.touches.length === 2) {
+            const pinch = this._getPinch(event);
+            const { start, view } = this._pinch;
+            const scale = this._clampZoom(view.scale * pinch.distance / start.distance);
+            // Keep the chart point that was under the fingers' midpoint under the new midpoint
+            const anchor = {
+                x: (start.center.x - view.x) / view.scale,
+                y: (start.center.y - view.y) / view.scale
+            };
+            this.view = {
+                scale,
+                x: pinch.center.x - anchor.x * scale,
+                y: pinch.center.y - anchor.y * scale
+            };
+            this._scheduleRender();
+            return;
+        }
         const touchPos = this._getTouchPosition(event);
         this._handleMouseMove({
             clientX: touchPos.x + this.canvas.getBoundingClientRect().left,
@@ -243,261 +826,4628 @@ class PedigreeMaker {
         });
     }
 
+    /**
+     * Distance between and midpoint of the first two touches
+     * @private
+     */
+    _getPinch(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const [a, b] = [event.touches[0], event.touches[1]];
+        return {
+            distance: Math.max(1, Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)),
+            center: { x: (a.clientX + b.clientX) / 2 - rect.left, y: (a.clientY + b.clientY) / 2 - rect.top }
+        };
+    }
+
     /**
      * NEW: Handle touch end events
      * @private
      */
     _handleTouchEnd(event) {
         event.preventDefault();
+        if (this._pinch) {
+            if (event.touches.length < 2) this._pinch = null;
+            return;
+        }
         this._handleMouseUp(event);
     }
 
     /**
-     * NEW: Reset all nodes to their original positions
+     * Sets the zoom level, keeping the given canvas point fixed.
+     * @param {number} scale The new zoom level; 1 is the natural size.
+     * @param {{x: number, y: number}} [center] Canvas point to zoom around; the canvas centre by default.
      */
-    resetPositions() {
-        this.data = JSON.parse(JSON.stringify(this.originalData));
+    zoomTo(scale, center) {
+        this._zoomView(scale, center);
         this.render();
     }
 
     /**
-     * NEW: Toggle the auto-layout optimizer
+     * @private
      */
-    toggleAutoLayoutOptimize() {
-        this.config.autoLayoutOptimize = !this.config.autoLayoutOptimize;
-        this.render();
-        return this.config.autoLayoutOptimize;
+    _zoomView(scale, center) {
+        const size = this._getViewportSize();
+        const point = center || { x: size.width / 2, y: size.height / 2 };
+        const anchor = this._screenToChart(point);
+        const newScale = this._clampZoom(scale);
+        this.view = {
+            scale: newScale,
+            x: point.x - anchor.x * newScale,
+            y: point.y - anchor.y * newScale
+        };
     }
 
     /**
-     * NEW: Export the canvas as an image
+     * Zooms and pans so the whole pedigree fits on the canvas.
+     * @param {number} [margin=20] Space to keep around the chart, in pixels.
      */
-    exportAsImage(filename = 'pedigree.png') {
-        const link = document.createElement('a');
-        link.download = filename;
-        link.href = this.canvas.toDataURL('image/png');
-        link.click();
+    fitToView(margin = 20) {
+        const bounds = this._getChartBounds();
+        if (bounds.width === 0 || bounds.height === 0) {
+            this.resetView();
+            return;
+        }
+        const size = this._getViewportSize();
+        const scale = this._clampZoom(Math.min(
+            (size.width - margin * 2) / bounds.width,
+            (size.height - margin * 2) / bounds.height
+        ));
+        this.view = {
+            scale,
+            x: (size.width - bounds.width * scale) / 2 - bounds.x * scale,
+            y: (size.height - bounds.height * scale) / 2 - bounds.y * scale
+        };
+        this.render();
     }
 
     /**
-     * NEW: Get the current data (useful after user interactions)
+     * Pans the view so an individual is in the centre of the canvas.
+     * @param {string} id The individual.
      */
-    getData() {
-        return JSON.parse(JSON.stringify(this.data));
+    centerOn(id) {
+        const person = this._requirePerson(id);
+        const { x, y } = this._getPixelCoords(person.pos.x, person.pos.y);
+        const size = this._getViewportSize();
+        this.view.x = size.width / 2 - x * this.view.scale;
+        this.view.y = size.height / 2 - y * this.view.scale;
+        this.render();
     }
 
     /**
-     * NEW: Update the data programmatically
+     * Returns to the natural size without panning.
      */
-    setData(newData) {
-        this.data = JSON.parse(JSON.stringify(newData));
+    resetView() {
+        this.view = { scale: 1, x: 0, y: 0 };
         this.render();
     }
 
-    _getPixelCoords(gridX, gridY) {
-        return {
-            x: gridX * this.config.hSpacing + this.config.padding.left,
-            y: gridY * this.config.vSpacing + this.config.padding.top
-        };
+    /**
+     * @private
+     */
+    _clampZoom(scale) {
+        return Math.min(this.config.maxZoom, Math.max(this.config.minZoom, scale));
     }
-    
-    _optimizeLayout() {
-        if (!this.config.autoLayoutOptimize) return;
-
-        this.data.forEach(person => {
-            if (person.mate) {
-                const partner = this.data.find(p => p.id === person.mate);
-                if (!partner) return;
 
-                const lineStartX = Math.min(person.pos.x, partner.pos.x);
-                const lineEndX = Math.max(person.pos.x, partner.pos.x);
-
-                this.data.forEach(potentialObstacle => {
-                    if (potentialObstacle.id !== person.id && potentialObstacle.id !== partner.id && potentialObstacle.pos.y === person.pos.y) {
-                        if (potentialObstacle.pos.x > lineStartX && potentialObstacle.pos.x < lineEndX) {
-                            const areSiblings = JSON.stringify(person.parents?.sort()) === JSON.stringify(potentialObstacle.parents?.sort()) && person.parents !== undefined;
-                            
-                            if (areSiblings) {
-                                const personOriginalX = person.pos.x;
-                                person.pos.x = potentialObstacle.pos.x;
-                                potentialObstacle.pos.x = personOriginalX;
-                            }
-                        }
-                    }
-                });
-            }
-        });
+    /**
+     * Sets the displayed size of the canvas and redraws. The canvas itself gets pixelRatio
+     * times as many pixels, so lines and text stay sharp on high-density screens.
+     * @param {number} width Width in CSS pixels.
+     * @param {number} height Height in CSS pixels.
+     */
+    resize(width, height) {
+        this._setCanvasSize(width, height);
+        this.render();
     }
 
-    _drawNode(person) {
-        const { x, y } = this._getPixelCoords(person.pos.x, person.pos.y);
-        this.nodeCoords[person.id] = { x, y };
-
-        // NEW: Add visual feedback for dragged node
-        if (this.dragTarget && this.dragTarget.id === person.id) {
-            this.ctx.shadowColor = 'rgba(0, 123, 255, 0.5)';
-            this.ctx.shadowBlur = 10;
+    /**
+     * Scales the canvas for the pixel ratio, keeping its displayed size, and follows the
+     * parent element in responsive mode. Safe to call again after a config change.
+     * @private
+     */
+    _setupCanvasSize() {
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
         }
+        // Drawing contexts without a real canvas (such as the SVG context) draw 1:1
+        if (!this.canvas || typeof this.canvas.getContext !== 'function') return;
+        if (this._getPixelRatio() !== this.pixelRatio) {
+            const { width, height } = this._getViewportSize();
+            this._setCanvasSize(width, height);
+        }
+        if (this.config.responsive) {
+            this._observeContainer();
+        }
+        if (!this._pixelRatioQuery) {
+            this._watchPixelRatio();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _setCanvasSize(width, height) {
+        const ratio = this._getPixelRatio();
+        const canvasWidth = Math.max(1, Math.round(width * ratio));
+        const canvasHeight = Math.max(1, Math.round(height * ratio));
+        // Assigning the size clears the canvas, even when it does not change
+        if (this.canvas.width !== canvasWidth) this.canvas.width = canvasWidth;
+        if (this.canvas.height !== canvasHeight) this.canvas.height = canvasHeight;
+        if (this.canvas.style) {
+            this.canvas.style.width = `${width}px`;
+            this.canvas.style.height = `${height}px`;
+        }
+        this.pixelRatio = ratio;
+        this._dragLayer = null;
+    }
+
+    /**
+     * @private
+     */
+    _getPixelRatio() {
+        return this.config.pixelRatio || (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    }
+
+    /**
+     * Size of the canvas in CSS pixels, the unit of the view transform and pointer positions.
+     * @private
+     */
+    _getViewportSize() {
+        return {
+            width: this.canvas.width / this.pixelRatio,
+            height: this.canvas.height / this.pixelRatio
+        };
+    }
+
+    /**
+     * Resizes the canvas to its parent element whenever that changes size, and fits the
+     * chart into it.
+     * @private
+     */
+    _observeContainer() {
+        const container = this.canvas.parentElement;
+        if (!container || typeof ResizeObserver !== 'function') return;
+        // An inline canvas leaves room for descenders below it, which would grow the parent on every resize
+        this.canvas.style.display = 'block';
+        this._resizeObserver = new ResizeObserver(entries => {
+            const { width, height } = entries[entries.length - 1].contentRect;
+            // Hidden containers report no size
+            if (width === 0 || height === 0) return;
+            this._setCanvasSize(Math.floor(width), Math.floor(height));
+            this.fitToView();
+        });
+        this._resizeObserver.observe(container);
+    }
+
+    /**
+     * Re-scales the canvas when the window moves to a screen with another pixel density
+     * or the page is zoomed.
+     * @private
+     */
+    _watchPixelRatio() {
+        if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') return;
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+        const onChange = () => {
+            query.removeEventListener('change', onChange);
+            this._pixelRatioQuery = null;
+            if (!this.config.pixelRatio) {
+                const { width, height } = this._getViewportSize();
+                this.resize(width, height);
+            }
+            this._watchPixelRatio();
+        };
+        query.addEventListener('change', onChange);
+        this._pixelRatioQuery = query;
+    }
+
+    /**
+     * Resizes the canvas to the whole chart at the current zoom. Individuals dragged past
+     * the top or left edge shift the chart rather than being cut off.
+     * @private
+     */
+    _fitCanvasToChart() {
+        if (!this.canvas || typeof this.canvas.getContext !== 'function') return;
+        const margin = 20;
+        const bounds = this._getChartBounds();
+        const scale = this.view.scale;
+        const x = Math.max(0, margin - bounds.x) * scale;
+        const y = Math.max(0, margin - bounds.y) * scale;
+        this.view = { scale, x, y };
+        this._setCanvasSize(
+            Math.ceil(x + (bounds.x + bounds.width + margin) * scale),
+            Math.ceil(y + (bounds.y + bounds.height + margin) * scale)
+        );
+    }
+
+    /**
+     * Hides an individual's descendants (or ancestors, with the other relatives hanging
+     * from them) behind a "+N" marker; clicking the marker expands them again. Partners
+     * who only married into the hidden branch are hidden with it. Positions are kept.
+     * @param {string} id The individual.
+     * @param {string} [direction='descendants'] 'descendants' or 'ancestors'.
+     */
+    collapse(id, direction = 'descendants') {
+        this._requirePerson(id);
+        this._getCollapsedSet(direction).add(id);
+        this.render();
+        this._emit('collapseChange', { id, direction, collapsed: true });
+    }
+
+    /**
+     * Shows a collapsed branch again.
+     * @param {string} id The individual.
+     * @param {string} [direction='descendants'] 'descendants' or 'ancestors'.
+     */
+    expand(id, direction = 'descendants') {
+        if (!this._getCollapsedSet(direction).delete(id)) return;
+        this.render();
+        this._emit('collapseChange', { id, direction, collapsed: false });
+    }
+
+    /**
+     * @param {string} id The individual.
+     * @param {string} [direction='descendants'] 'descendants' or 'ancestors'.
+     */
+    toggleCollapse(id, direction = 'descendants') {
+        if (this.isCollapsed(id, direction)) {
+            this.expand(id, direction);
+        } else {
+            this.collapse(id, direction);
+        }
+    }
+
+    /**
+     * @param {string} id The individual.
+     * @param {string} [direction='descendants'] 'descendants' or 'ancestors'.
+     * @returns {boolean}
+     */
+    isCollapsed(id, direction = 'descendants') {
+        return this._getCollapsedSet(direction).has(id);
+    }
+
+    /**
+     * Shows every collapsed branch and both sides of the family.
+     */
+    expandAll() {
+        this.collapsed = { descendants: new Set(), ancestors: new Set() };
+        this.sideView = null;
+        this.render();
+    }
+
+    /**
+     * @private
+     */
+    _getCollapsedSet(direction) {
+        if (!this.collapsed[direction]) {
+            throw new Error(`Unknown direction "${direction}". Use 'descendants' or 'ancestors'.`);
+        }
+        return this.collapsed[direction];
+    }
+
+    /**
+     * Shows only one side of an individual's family: the parent on that side with all of
+     * their blood relatives and partners, the other parent, and the individual's own
+     * descendants. Everyone else is hidden but keeps their position.
+     * @param {?string} side 'maternal', 'paternal', or null to show both sides.
+     * @param {string} [id] The individual; the proband by default.
+     */
+    showSide(side, id) {
+        if (side === null) {
+            this.sideView = null;
+            this.render();
+            return;
+        }
+        if (side !== 'maternal' && side !== 'paternal') {
+            throw new Error(`Unknown side "${side}". Use 'maternal', 'paternal' or null.`);
+        }
+        if (id === undefined) {
+            const proband = this.data.find(person => person.isProband);
+            if (!proband) throw new Error(`There is no proband to show the ${side} side of; pass an id.`);
+            id = proband.id;
+        }
+        if (!this._getSideParent(id, side)) {
+            throw new Error(`"${id}" has no ${side === 'maternal' ? 'mother' : 'father'} in the pedigree.`);
+        }
+        this.sideView = { side, id };
+        this.render();
+    }
+
+    /**
+     * @private
+     */
+    _getSideParent(id, side) {
+        const sex = side === 'maternal' ? 'F' : 'M';
+        return this.getParents(id).find(parentId => this._getPerson(parentId).sex === sex);
+    }
+
+    /**
+     * Highlights the blood lines between the proband and each of the given individuals,
+     * through their closest common ancestors, and dims everyone else. Without a proband
+     * the lines run from the first individual given.
+     * @param {Array<string>|string} ids The individuals; an empty array clears the highlight.
+     */
+    highlightLineage(ids) {
+        const list = Array.isArray(ids) ? ids : [ids];
+        list.forEach(id => this._requirePerson(id));
+        this.lineageIds = list.slice();
+        this.render();
+    }
+
+    /**
+     * Removes the lineage highlight.
+     */
+    clearLineageHighlight() {
+        this.highlightLineage([]);
+    }
+
+    /**
+     * NEW: Reset all nodes to their original positions
+     */
+    resetPositions() {
+        this._beginChange('resetPositions');
+        this.data = JSON.parse(JSON.stringify(this.originalData));
+        if (this._needsAutoLayout()) {
+            this._computeAutoLayout();
+        }
+        this.render();
+        this._commitChange();
+    }
+
+    /**
+     * NEW: Toggle the auto-layout optimizer
+     */
+    toggleAutoLayoutOptimize() {
+        this.config.autoLayoutOptimize = !this.config.autoLayoutOptimize;
+        this.render();
+        return this.config.autoLayoutOptimize;
+    }
+
+    /**
+     * Switches to another theme and re-renders.
+     * @param {string|Object} theme A name from PedigreeMaker.themes or a theme object with
+     *        config keys and an optional `palette` of phenotype styles.
+     */
+    setTheme(theme) {
+        this._applyTheme(theme);
+        if (this.themeWarnings.length > 0) this._emit('themeWarning', { warnings: this.themeWarnings.slice() });
+        this.render();
+    }
+
+    /**
+     * Changes configuration options and re-renders, e.g. { hSpacing: 120, showGenerationLabels: true }.
+     * `padding` and `phenotypes` are merged into the current values. Event listeners are
+     * not re-attached, so `interactive` only takes effect in the constructor.
+     * @param {Object} changes
+     */
+    updateConfig(changes) {
+        Object.keys(changes).forEach(key => {
+            if (key === 'padding') {
+                this.config.padding = Object.assign({}, this.config.padding, changes.padding);
+            } else if (key === 'phenotypes') {
+                this._basePhenotypes = Object.assign({}, this._basePhenotypes, changes.phenotypes);
+                this._applyPalette();
+            } else if (key !== 'theme') {
+                this.config[key] = changes[key];
+            }
+        });
+        if (changes.theme) {
+            this._applyTheme(changes.theme, changes);
+        }
+        if ((changes.theme || changes.phenotypes) && this.themeWarnings.length > 0) {
+            this._emit('themeWarning', { warnings: this.themeWarnings.slice() });
+        }
+        if (changes.pixelRatio !== undefined || changes.responsive !== undefined) {
+            this._setupCanvasSize();
+        }
+        if (changes.layout !== undefined && this._needsAutoLayout()) {
+            this.autoLayout();
+            return;
+        }
+        this.render();
+    }
+
+    /**
+     * Copies a theme's settings into the config, except those in `keep`, and recolours
+     * the phenotypes with its palette.
+     * @private
+     */
+    _applyTheme(theme, keep = {}) {
+        const values = typeof theme === 'string' ? PedigreeMaker.themes[theme] : theme;
+        if (!values) {
+            throw new Error(`Unknown theme "${theme}". Available themes: ${Object.keys(PedigreeMaker.themes).join(', ')}.`);
+        }
+        Object.keys(values).forEach(key => {
+            if (key !== 'palette' && !(key in keep)) this.config[key] = values[key];
+        });
+        this.config.theme = theme;
+        this._themePalette = values.palette || null;
+        this._applyPalette();
+    }
+
+    /**
+     * @private
+     */
+    _applyPalette() {
+        const palette = this._themePalette;
+        const phenotypes = {};
+        const keys = Object.keys(this._basePhenotypes);
+        keys.forEach((key, i) => {
+            phenotypes[key] = palette
+                ? Object.assign({}, this._basePhenotypes[key], palette[i % palette.length])
+                : this._basePhenotypes[key];
+        });
+        this.config.phenotypes = phenotypes;
+
+        // The palette starts over once every style is taken
+        this.themeWarnings = palette ? keys.slice(palette.length).map((key, i) => ({
+            type: 'repeated-phenotype-style',
+            phenotypes: [key, keys[i % palette.length]],
+            message: `The theme has ${palette.length} phenotype styles, so "${key}" is drawn like "${keys[i % palette.length]}".`
+        })) : [];
+    }
+
+    /**
+     * NEW: Export the canvas as an image
+     * @param {string} [filename='pedigree.png']
+     * @param {Object} [options]
+     * @param {number} [options.scale] Pixels per chart unit, e.g. 3 for print quality.
+     * @param {string} [options.background] Fill colour behind the chart; the theme's background,
+     *        otherwise white.
+     * @param {boolean|Object} [options.anonymise] De-identify the chart first; see getAnonymisedData().
+     *        With any of these options the image shows the whole chart, as drawn by toCanvas(),
+     *        rather than the visible canvas.
+     */
+    exportAsImage(filename = 'pedigree.png', options = {}) {
+        const wholeChart = options.anonymise || options.scale !== undefined || options.background !== undefined;
+        const canvas = wholeChart
+            ? this.toCanvas(Object.assign({ background: this.config.background || '#fff', scale: this.pixelRatio }, options))
+            : this.canvas;
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = canvas.toDataURL('image/png');
+        link.click();
+    }
+
+    /**
+     * Export the chart as a vector SVG file
+     * @param {string} [filename='pedigree.svg']
+     * @param {Object} [options] Same options as toSVG().
+     */
+    exportAsSVG(filename = 'pedigree.svg', options = {}) {
+        const blob = new Blob([this.toSVG(options)], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Export the chart as a printable PDF file
+     * @param {string} [filename='pedigree.pdf']
+     * @param {Object} [options] Same options as toPDF().
+     */
+    exportAsPDF(filename = 'pedigree.pdf', options = {}) {
+        const blob = new Blob([this.toPDF(options)], { type: 'application/pdf' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * NEW: Get the current data (useful after user interactions)
+     * @param {Object} [options]
+     * @param {boolean|Object} [options.anonymise] Return getAnonymisedData() instead, with these options.
+     */
+    getData(options = {}) {
+        if (options.anonymise) {
+            return this.getAnonymisedData(options.anonymise === true ? {} : options.anonymise);
+        }
+        return JSON.parse(JSON.stringify(this.data));
+    }
+
+    /**
+     * A de-identified copy of the data for publications and labs. Ids and names are
+     * replaced by the clinical numbering (I-1, II-3...), relationships are kept, and only
+     * the fields needed to draw the chart survive, so free-text notes, birth and death
+     * years and any custom fields are dropped.
+     * @param {Object} [options]
+     * @param {string} [options.ages='range'] 'range' turns ages into decades ("40s"), 'remove' drops them, 'keep' leaves them.
+     * @param {boolean} [options.maskSex=false] Draw unaffected relatives other than the proband as diamonds.
+     * @param {boolean} [options.keepTitle=false] In de-identified exports, keep the title of
+     *        `config.header`. It is dropped by default because titles often name the family.
+     * @returns {Array<Object>}
+     */
+    getAnonymisedData(options = {}) {
+        const ages = options.ages || 'range';
+        const numbers = this.getIndividualNumbers();
+        const twinIds = {};
+        const mapAge = age => {
+            if (ages === 'keep') return age;
+            if (ages === 'remove' || age === undefined || age === null) return undefined;
+            const years = typeof age === 'number' ? age : (/^\s*(\d+(\.\d+)?)\s*y?\s*$/.exec(String(age)) || [])[1];
+            if (years === undefined) return undefined;
+            return years < 10 ? '<10y' : `${Math.floor(years / 10) * 10}s`;
+        };
+        const kept = ['sex', 'pos', 'phenotypes', 'deceased', 'isProband', 'pregnancy', 'pregnancyLoss',
+            'gestationalAge', 'genotype', 'carrier', 'obligateCarrier', 'affection', 'style'];
+
+        return this.data.map(person => {
+            const copy = { id: numbers[person.id], name: numbers[person.id] };
+            kept.forEach(field => {
+                if (person[field] !== undefined) copy[field] = JSON.parse(JSON.stringify(person[field]));
+            });
+            const parents = this._getParentIds(person).filter(id => numbers[id]);
+            if (parents.length > 0) copy.parents = parents.map(id => numbers[id]);
+            const mates = this._getMates(person).filter(mate => numbers[mate.id]);
+            if (mates.length > 0) {
+                copy.mate = mates.map(mate => Object.assign({}, mate, { id: numbers[mate.id] }));
+            }
+            if (person.twin) {
+                twinIds[person.twin.id] = twinIds[person.twin.id] || `twin-${Object.keys(twinIds).length + 1}`;
+                copy.twin = Object.assign({}, person.twin, { id: twinIds[person.twin.id] });
+            }
+            const age = mapAge(person.age);
+            if (age !== undefined) copy.age = age;
+            const ageAtDeath = mapAge(person.ageAtDeath);
+            if (ageAtDeath !== undefined) copy.ageAtDeath = ageAtDeath;
+            if (person.diagnoses) {
+                copy.diagnoses = person.diagnoses.map(diagnosis => {
+                    const entry = typeof diagnosis === 'string' ? { phenotype: diagnosis } : diagnosis;
+                    const ageAtOnset = mapAge(entry.ageAtOnset);
+                    return ageAtOnset === undefined ? { phenotype: entry.phenotype } : { phenotype: entry.phenotype, ageAtOnset };
+                });
+            }
+            if (options.maskSex && !person.isProband && !(person.phenotypes && person.phenotypes.length > 0)) {
+                delete copy.sex;
+            }
+            return copy;
+        });
+    }
+
+    /**
+     * Runs an export with the layout the optimizer would give, worked out on a copy of
+     * the data so exporting moves no one and adds nothing to the history, and with the
+     * data de-identified when `anonymise` is set.
+     * @private
+     */
+    _withExportData(anonymise, draw) {
+        if (!this.config.autoLayoutOptimize) return this._withAnonymisedData(anonymise, draw);
+        const data = this.data;
+        this.data = JSON.parse(JSON.stringify(data));
+        try {
+            this._optimizeLayout();
+            return this._withAnonymisedData(anonymise, draw);
+        } finally {
+            this.data = data;
+            this._invalidateGraph();
+        }
+    }
+
+    /**
+     * Runs a drawing routine with the data (and the settings that could reveal identities)
+     * replaced by their de-identified versions. Nothing is recorded in the history.
+     * @private
+     */
+    _withAnonymisedData(anonymise, draw) {
+        if (!anonymise) return draw();
+        const numbers = this.getIndividualNumbers();
+        const previous = {
+            data: this.data,
+            config: this.config,
+            placeholderOffsets: this.placeholderOffsets,
+            riskResults: this.riskResults,
+            validationIssues: this.validationIssues,
+            collapsed: this.collapsed,
+            sideView: this.sideView,
+            lineageIds: this.lineageIds,
+            selectedIds: this.selectedIds
+        };
+        const options = anonymise === true ? {} : anonymise;
+        this.data = this.getAnonymisedData(options);
+        this.config = Object.assign({}, this.config, {
+            header: options.keepTitle && this.config.header && this.config.header.title ? { title: this.config.header.title } : null,
+            labelFields: this.config.labelFields && ['name', 'age', 'diagnosis'],
+            showIndividualNumbers: false
+        });
+        this.placeholderOffsets = {};
+        Object.keys(previous.placeholderOffsets || {}).forEach(id => {
+            this.placeholderOffsets[numbers[id]] = previous.placeholderOffsets[id];
+        });
+        this.riskResults = null;
+        this.validationIssues = [];
+        const renumber = ids => new Set([...ids].map(id => numbers[id]));
+        this.collapsed = { descendants: renumber(previous.collapsed.descendants), ancestors: renumber(previous.collapsed.ancestors) };
+        this.sideView = previous.sideView && { side: previous.sideView.side, id: numbers[previous.sideView.id] };
+        this.lineageIds = previous.lineageIds.map(id => numbers[id]);
+        this.selectedIds = renumber(previous.selectedIds);
+        try {
+            return draw();
+        } finally {
+            Object.assign(this, previous);
+        }
+    }
+
+    /**
+     * NEW: Update the data programmatically
+     */
+    setData(newData) {
+        const previousData = this.data;
+        this.data = JSON.parse(JSON.stringify(newData));
+        try {
+            this._checkData();
+        } catch (error) {
+            this.data = previousData;
+            throw error;
+        }
+        const replacedData = this.data;
+        this.data = previousData;
+        this._beginChange('setData');
+        this.data = replacedData;
+        if (this._needsAutoLayout()) {
+            this._computeAutoLayout();
+        }
+        this.render();
+        this._commitChange();
+    }
+
+    /**
+     * Recomputes the position of every individual from the relationships and re-renders,
+     * regardless of the configured layout mode.
+     */
+    autoLayout() {
+        this._beginChange('autoLayout');
+        this._computeAutoLayout();
+        this.render();
+        this._commitChange();
+    }
+
+    /**
+     * Undoes the last change to the data.
+     * @returns {boolean} Whether there was anything to undo.
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+        const entry = this.undoStack.pop();
+        this.redoStack.push(entry);
+        this._restoreSnapshot(entry.before);
+        this._emitChange({ type: 'undo', label: entry.label });
+        return true;
+    }
+
+    /**
+     * Redoes the last undone change.
+     * @returns {boolean} Whether there was anything to redo.
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+        const entry = this.redoStack.pop();
+        this.undoStack.push(entry);
+        this._restoreSnapshot(entry.after);
+        this._emitChange({ type: 'redo', label: entry.label });
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forgets all undo/redo history.
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Captures the state that undo/redo restores: the data, not the configuration.
+     * @private
+     */
+    _snapshot() {
+        return { data: JSON.stringify(this.data) };
+    }
+
+    /**
+     * @private
+     */
+    _restoreSnapshot(snapshot) {
+        this.data = JSON.parse(snapshot.data);
+        this._checkData();
+        this.render();
+    }
+
+    /**
+     * Starts recording a change. Nested calls are merged into the outermost change.
+     * @private
+     */
+    _beginChange(label) {
+        if (this._pendingChange) {
+            this._pendingChange.depth++;
+            return;
+        }
+        this._pendingChange = { label, before: this._snapshot(), depth: 1 };
+    }
+
+    /**
+     * Finishes recording a change and adds it to the history if anything changed.
+     * @private
+     */
+    _commitChange() {
+        const pending = this._pendingChange;
+        if (!pending || --pending.depth > 0) return;
+        this._pendingChange = null;
+        this._pushHistory(pending.label, pending.before, this._snapshot());
+    }
+
+    /**
+     * @private
+     */
+    _pushHistory(label, before, after) {
+        if (before.data === after.data) return;
+        this.undoStack.push({ label, before, after });
+        if (this.undoStack.length > this.config.historyLimit) {
+            this.undoStack.splice(0, this.undoStack.length - this.config.historyLimit);
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Handles the undo (Ctrl+Z) and redo (Ctrl+Shift+Z, Ctrl+Y) shortcuts; Cmd works on macOS.
+     * @private
+     */
+    _handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                this.undo();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                this.redo();
+            } else {
+                return;
+            }
+            event.preventDefault();
+            return;
+        }
+
+        const directions = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+        const focused = this.focusedId && this._getPerson(this.focusedId);
+        if (directions[event.key]) {
+            if (!focused) {
+                this._focusPerson(this._getDefaultFocusId());
+            } else if (event.shiftKey) {
+                const steps = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] }[directions[event.key]];
+                if (steps[1] === 0 || !this.config.lockGenerations || event.altKey) {
+                    this._moveFocusedNode(steps[0], steps[1]);
+                }
+            } else {
+                this._focusPerson(this._getRelativeInDirection(focused, directions[event.key]) || focused.id);
+            }
+        } else if (event.key === 'Home') {
+            this._focusPerson(this._getDefaultFocusId());
+        } else if ((event.key === 'Enter' || event.key === 'ContextMenu' || (event.key === 'F10' && event.shiftKey)) && focused && this.config.editable) {
+            const coords = this.nodeCoords[focused.id];
+            const rect = this.canvas.getBoundingClientRect();
+            this.openEditMenu(focused.id,
+                rect.left + coords.x * this.view.scale + this.view.x,
+                rect.top + coords.y * this.view.scale + this.view.y);
+        } else if (event.key === 'Escape' && focused) {
+            this._focusPerson(null);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Moves the keyboard focus to an individual (or clears it with null) and announces them.
+     * @private
+     */
+    _focusPerson(id) {
+        this.focusedId = id;
+        if (id && this.liveRegion) {
+            this.liveRegion.textContent = this.describePerson(id);
+        }
+        this.render();
+    }
+
+    /**
+     * The individual focused first: the proband, or else the top-left individual.
+     * @private
+     */
+    _getDefaultFocusId() {
+        const proband = this.data.find(person => person.isProband);
+        if (proband) return proband.id;
+        const sorted = this.data.slice().sort((a, b) => a.pos.y - b.pos.y || a.pos.x - b.pos.x);
+        return sorted.length > 0 ? sorted[0].id : null;
+    }
+
+    /**
+     * The relative reached from an individual with an arrow key: the nearest parent for
+     * up, child for down, and partner or sibling on that side for left and right.
+     * @private
+     */
+    _getRelativeInDirection(person, direction) {
+        let candidates;
+        if (direction === 'up') {
+            candidates = this._getParentIds(person);
+        } else if (direction === 'down') {
+            candidates = this.getChildren(person.id);
+        } else {
+            const siblings = this.getSiblings(person.id);
+            const sign = direction === 'left' ? -1 : 1;
+            candidates = this._getPartnerIds(person.id).concat(siblings)
+                .filter(id => (this._getPerson(id).pos.x - person.pos.x) * sign > 0);
+        }
+        const distance = id => {
+            const other = this._getPerson(id);
+            return Math.abs(other.pos.x - person.pos.x) + Math.abs(other.pos.y - person.pos.y) / 10;
+        };
+        const hidden = this._getHiddenIds();
+        return candidates
+            .filter(id => this._getPerson(id) && !hidden.has(id))
+            .sort((a, b) => distance(a) - distance(b))[0] || null;
+    }
+
+    /**
+     * Moves the focused individual (and its drag group) by one snap step horizontally or
+     * one row vertically, like dragging it.
+     * @private
+     */
+    _moveFocusedNode(dx, dy) {
+        const person = this._getPerson(this.focusedId);
+        const step = this.config.dragSnap === 'whole' ? 1 : 0.5;
+        const from = Object.assign({}, person.pos);
+
+        this._beginChange('move');
+        this._moveGroup(this._getDragGroup(person), this._getPositions(), dx * step, dy);
+        this._commitChange();
+        if (person.pos.x === from.x && person.pos.y === from.y) return;
+        this._focusPerson(person.id);
+        this._emitChange({ type: 'move', id: person.id });
+        if (this.config.onNodeMoved && typeof this.config.onNodeMoved === 'function') {
+            this.config.onNodeMoved(this.data);
+        }
+    }
+
+    /**
+     * A plain-language description of an individual for screen readers, e.g.
+     * "Elizabeth, female, generation II, affected: Premature ovarian insufficiency.
+     * Parents: Kevin, Elsa. Partner: Albert. Children: Marc."
+     * @param {string} id The individual.
+     * @returns {string}
+     */
+    describePerson(id) {
+        const person = this._requirePerson(id);
+        const name = other => (other.name ? other.name.split('\n')[0] : other.id);
+        const sex = { M: 'male', F: 'female' }[person.sex] || 'sex unknown';
+        const parts = [name(person), person.pregnancy ? `pregnancy, ${sex}` : sex, `generation ${this._toRoman(this._getGenerationNumber(person))}`];
+
+        const phenotypes = person.phenotypes || [];
+        if (phenotypes.length > 0) {
+            parts.push(`affected: ${phenotypes.map(phenotypeId => (this.config.phenotypes[phenotypeId] || {}).description || phenotypeId).join(', ')}`);
+        } else {
+            parts.push(person.affection === 'unknown' ? 'affection status unknown' : 'unaffected');
+        }
+        const carrierStatus = this._getCarrierStatus(person);
+        if (carrierStatus) parts.push(carrierStatus === 'obligate' ? 'obligate carrier' : 'carrier');
+        parts.push(...this._getAnnotations(person).map(line => line.replace(/^d\. ?/, 'died ')));
+        if (person.deceased && !parts.some(part => part.startsWith('died'))) parts.push('deceased');
+        if (person.isProband) parts.push('proband');
+
+        const relatives = (label, ids) => {
+            const names = ids.map(otherId => this._getPerson(otherId)).filter(Boolean).map(name);
+            return names.length > 0 ? ` ${label}: ${names.join(', ')}.` : '';
+        };
+        return `${parts.join(', ')}.` +
+            relatives('Parents', this._getParentIds(person)) +
+            relatives(this._getPartnerIds(id).length > 1 ? 'Partners' : 'Partner', this._getPartnerIds(id)) +
+            relatives('Children', this.getChildren(id));
+    }
+
+    /**
+     * Renders the pedigree as an HTML table, one row per individual, as a text alternative
+     * to the chart.
+     * @returns {string} The table markup.
+     */
+    toAccessibleTable() {
+        const escape = PedigreeSVGContext._escape;
+        const name = person => (person.name ? person.name.split('\n')[0] : person.id);
+        const names = ids => ids.map(id => this._getPerson(id)).filter(Boolean).map(name).join(', ');
+        const generations = this._getRows();
+        const rows = this.data.slice()
+            .sort((a, b) => a.pos.y - b.pos.y || a.pos.x - b.pos.x)
+            .map(person => {
+                const phenotypes = (person.phenotypes || []).map(phenotypeId => (this.config.phenotypes[phenotypeId] || {}).description || phenotypeId);
+                const cells = [
+                    name(person),
+                    { M: 'Male', F: 'Female' }[person.sex] || 'Unknown',
+                    this._toRoman(this._getGenerationNumber(person, generations)),
+                    phenotypes.length > 0 ? `Affected: ${phenotypes.join(', ')}` : (person.affection === 'unknown' ? 'Unknown' : 'Unaffected'),
+                    names(this._getParentIds(person)),
+                    names(this._getPartnerIds(person.id)),
+                    names(this.getChildren(person.id))
+                ];
+                return `<tr><th scope="row">${escape(cells[0])}</th>${cells.slice(1).map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`;
+            });
+        return '<table><caption>Pedigree individuals</caption><thead><tr>' +
+            ['Name', 'Sex', 'Generation', 'Status', 'Parents', 'Partners', 'Children'].map(heading => `<th scope="col">${heading}</th>`).join('') +
+            `</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+    }
+
+    /**
+     * Labels the canvas for assistive technology and adds a visually hidden live region
+     * for focus announcements and the table alternative next to it.
+     * @private
+     */
+    _setupAccessibility() {
+        this.canvas.setAttribute('role', 'application');
+        this.canvas.setAttribute('aria-roledescription', 'pedigree chart');
+        if (!this.canvas.hasAttribute('aria-label')) {
+            this.canvas.setAttribute('aria-label', 'Pedigree chart. Use the arrow keys to move between relatives; Shift with an arrow key moves the selected individual.');
+        }
+        this.canvas.addEventListener('focus', () => {
+            if (!this.focusedId) this._focusPerson(this._getDefaultFocusId());
+        });
+
+        if (typeof document === 'undefined' || !this.canvas.parentNode) return;
+        const hidden = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0;';
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.style.cssText = hidden;
+        this.accessibleTable = document.createElement('div');
+        this.accessibleTable.style.cssText = hidden;
+        this.canvas.parentNode.insertBefore(this.liveRegion, this.canvas.nextSibling);
+        this.canvas.parentNode.insertBefore(this.accessibleTable, this.liveRegion.nextSibling);
+    }
+
+    /**
+     * Refreshes the hidden table once the browser is idle, so that a run of renders
+     * (e.g. one per edit) rebuilds it only once. Without requestIdleCallback the
+     * refresh waits for a timeout instead.
+     * @private
+     */
+    _scheduleAccessibleTableUpdate() {
+        if (!this.accessibleTable || this._tableRequest !== null) return;
+        const update = () => {
+            this._tableRequest = null;
+            this._updateAccessibleTable();
+        };
+        this._tableRequest = typeof requestIdleCallback === 'function'
+            ? requestIdleCallback(update, { timeout: 1000 })
+            : setTimeout(update, 0);
+    }
+
+    /**
+     * Refreshes the hidden table when the data it shows has changed.
+     * @private
+     */
+    _updateAccessibleTable() {
+        if (!this.accessibleTable) return;
+        const html = this.toAccessibleTable();
+        if (html !== this.accessibleTable.innerHTML) {
+            this.accessibleTable.innerHTML = html;
+        }
+    }
+
+    /**
+     * Generation of an individual, counting the rows of the chart from the top (1 = I).
+     * @private
+     */
+    _getGenerationNumber(person, rows = this._getRows()) {
+        return rows.indexOf(person.pos.y) + 1;
+    }
+
+    /**
+     * The rows of the chart that hold individuals, top to bottom.
+     * @private
+     */
+    _getRows() {
+        return [...new Set(this.data.map(other => other.pos.y))].sort((a, b) => a - b);
+    }
+
+    /**
+     * @private
+     */
+    _toRoman(number) {
+        const numerals = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+            [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+        let result = '';
+        numerals.forEach(([value, numeral]) => {
+            while (number >= value) {
+                result += numeral;
+                number -= value;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * The parents of an individual that exist in the pedigree.
+     * @param {string} id The individual.
+     * @returns {Array<string>} Their ids.
+     */
+    getParents(id) {
+        return this._getParentIds(this._requirePerson(id));
+    }
+
+    /**
+     * The children of an individual, with any partner.
+     * @param {string} id The individual.
+     * @returns {Array<string>} Their ids.
+     */
+    getChildren(id) {
+        this._requirePerson(id);
+        return this._getGraph().children.get(id).slice();
+    }
+
+    /**
+     * The siblings of an individual: full siblings share both parents, half siblings one.
+     * @param {string} id The individual.
+     * @param {string} [type='all'] 'full', 'half' or 'all'.
+     * @returns {Array<string>} Their ids.
+     */
+    getSiblings(id, type = 'all') {
+        if (!['all', 'full', 'half'].includes(type)) {
+            throw new Error(`Unknown sibling type "${type}". Use 'full', 'half' or 'all'.`);
+        }
+        const parentIds = this.getParents(id);
+        const siblings = new Set();
+        parentIds.forEach(parentId => this.getChildren(parentId).forEach(childId => {
+            if (childId !== id) siblings.add(childId);
+        }));
+        return [...siblings].filter(siblingId => {
+            if (type === 'all') return true;
+            const siblingParents = this._getParentIds(this._getPerson(siblingId));
+            const full = parentIds.length === 2 && siblingParents.length === 2 &&
+                parentIds.every(parentId => siblingParents.includes(parentId));
+            return (type === 'full') === full;
+        });
+    }
+
+    /**
+     * Everyone an individual has a partnership with, declared on either side or through a
+     * common child.
+     * @param {string} id The individual.
+     * @returns {Array<string>} Their ids.
+     */
+    getPartners(id) {
+        this._requirePerson(id);
+        return this._getPartnerIds(id);
+    }
+
+    /**
+     * The ancestors of an individual, nearest first. In a pedigree with loops an ancestor
+     * is listed once, at the shortest distance.
+     * @param {string} id The individual.
+     * @param {number} [maxDepth=Infinity] How many generations to go up; 1 gives the parents.
+     * @returns {Array<{id: string, depth: number}>}
+     */
+    getAncestors(id, maxDepth = Infinity) {
+        this._requirePerson(id);
+        return [...this._getLineage(id, 'up', maxDepth)]
+            .filter(([otherId]) => otherId !== id)
+            .map(([otherId, depth]) => ({ id: otherId, depth }));
+    }
+
+    /**
+     * The descendants of an individual, nearest first.
+     * @param {string} id The individual.
+     * @param {number} [maxDepth=Infinity] How many generations to go down; 1 gives the children.
+     * @returns {Array<{id: string, depth: number}>}
+     */
+    getDescendants(id, maxDepth = Infinity) {
+        this._requirePerson(id);
+        return [...this._getLineage(id, 'down', maxDepth)]
+            .filter(([otherId]) => otherId !== id)
+            .map(([otherId, depth]) => ({ id: otherId, depth }));
+    }
+
+    /**
+     * Describes what one individual is to another through their closest common ancestors,
+     * e.g. getRelationship(proband, id) gives "maternal first cousin once removed" or
+     * "paternal half-brother". Partners who are not blood relatives are "partner".
+     * @param {string} id The individual the relationship is seen from.
+     * @param {string} otherId The relative being described.
+     * @returns {{label: string, degree: ?number, coefficient: number, side: ?string, commonAncestors: Array<string>}}
+     *          `degree` is 1 for first-degree relatives (parents, children, full siblings),
+     *          2 for second-degree and so on, and null for individuals who are not related;
+     *          `coefficient` is coefficientOfRelationship(); `side` is 'maternal' or
+     *          'paternal' when the relationship runs through one of the individual's parents.
+     */
+    getRelationship(id, otherId) {
+        this._requirePerson(id);
+        const other = this._requirePerson(otherId);
+        const word = (male, female, unknown) => ({ M: male, F: female }[other.sex] || unknown);
+        const result = { label: 'self', degree: 0, coefficient: 1, side: null, commonAncestors: [] };
+        if (id === otherId) return result;
+        result.coefficient = this.coefficientOfRelationship(id, otherId);
+
+        const up = this._getLineage(id, 'up');
+        const otherUp = this._getLineage(otherId, 'up');
+        const common = [...up.keys()].filter(ancestorId => otherUp.has(ancestorId));
+        if (common.length === 0) {
+            const partner = this._getPartnerIds(id).includes(otherId);
+            return Object.assign(result, { label: partner ? 'partner' : 'unrelated', degree: null });
+        }
+
+        // The closest common ancestors: one for lineal and half relationships, a couple otherwise
+        const distance = ancestorId => up.get(ancestorId) + otherUp.get(ancestorId);
+        const shortest = Math.min(...common.map(distance));
+        let closest = common.filter(ancestorId => distance(ancestorId) === shortest);
+        const up1 = up.get(closest[0]);
+        closest = closest.filter(ancestorId => up.get(ancestorId) === up1);
+        const up2 = otherUp.get(closest[0]);
+        const half = up1 > 0 && up2 > 0 && closest.length < 2;
+        result.commonAncestors = closest;
+        result.degree = up1 === 0 || up2 === 0 || half ? up1 + up2 : up1 + up2 - 1;
+
+        // Which of the individual's parents the relationship runs through
+        const through = this.getParents(id).filter(parentId => {
+            const parentUp = this._getLineage(parentId, 'up', up1 - 1);
+            return closest.some(ancestorId => parentUp.get(ancestorId) === up1 - 1);
+        });
+        if (through.length === 1) {
+            result.side = { F: 'maternal', M: 'paternal' }[this._getPerson(through[0]).sex] || null;
+        }
+
+        const greats = count => 'great-'.repeat(Math.max(count, 0));
+        const prefix = half ? 'half-' : '';
+        let label;
+        if (up1 === 0) {
+            label = up2 === 1 ? word('son', 'daughter', 'child') : `${greats(up2 - 2)}grand${word('son', 'daughter', 'child')}`;
+        } else if (up2 === 0) {
+            label = up1 === 1 ? word('father', 'mother', 'parent') : `${greats(up1 - 2)}grand${word('father', 'mother', 'parent')}`;
+        } else if (up1 === 1 && up2 === 1) {
+            const twin = this._getPerson(id).twin;
+            const twins = twin && twin.id && other.twin && other.twin.id === twin.id;
+            label = (this._areIdenticalTwins(id, otherId) ? 'identical twin ' : twins ? 'twin ' : prefix) +
+                word('brother', 'sister', 'sibling');
+        } else if (up1 === 1) {
+            label = `${prefix}${up2 === 2 ? '' : `${greats(up2 - 3)}grand`}${word('nephew', 'niece', 'niece or nephew')}`;
+        } else if (up2 === 1) {
+            label = `${prefix}${greats(up1 - 2)}${word('uncle', 'aunt', 'aunt or uncle')}`;
+        } else {
+            const ordinals = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+            const cousin = Math.min(up1, up2) - 1;
+            const removed = Math.abs(up1 - up2);
+            label = `${prefix}${ordinals[cousin - 1] || `${cousin}th`} cousin` +
+                (removed === 0 ? '' : ` ${['once', 'twice', 'thrice'][removed - 1] || `${removed} times`} removed`);
+        }
+        // The side is implied for parents and full siblings
+        if (result.side && (up1 > 1 || (up1 === 1 && up2 > 0 && half))) {
+            label = `${result.side} ${label}`;
+        }
+        result.label = label;
+        return result;
+    }
+
+    /**
+     * Wright's coefficient of relationship: the expected proportion of alleles two
+     * individuals share identical by descent, e.g. 0.5 for parent and child or full
+     * siblings, 0.125 for first cousins. It is 1 for an individual and their identical twin.
+     * @param {string} id
+     * @param {string} otherId
+     * @returns {number}
+     */
+    coefficientOfRelationship(id, otherId) {
+        this._requirePerson(id);
+        this._requirePerson(otherId);
+        if (id === otherId) return 1;
+        return 2 * this._getKinship(id, otherId) /
+            Math.sqrt((1 + this.inbreedingCoefficient(id)) * (1 + this.inbreedingCoefficient(otherId)));
+    }
+
+    /**
+     * Wright's inbreeding coefficient: the probability that the two alleles of an
+     * individual are identical by descent, i.e. the kinship coefficient of their parents.
+     * It is 1/16 for the child of first cousins and 0 when a parent is unknown.
+     * @param {string} id The individual.
+     * @returns {number}
+     */
+    inbreedingCoefficient(id) {
+        const parentIds = this.getParents(id);
+        return parentIds.length === 2 ? this._getKinship(parentIds[0], parentIds[1]) : 0;
+    }
+
+    /**
+     * Adds a parent to an individual. When the individual already has a parent, the new
+     * parent becomes that parent's mate.
+     * @param {string} id The child.
+     * @param {string} sex 'M' for a father, 'F' for a mother.
+     * @param {Object} [attributes] Further fields for the new individual (name, phenotypes...).
+     * @returns {string} The id of the new parent.
+     */
+    addParent(id, sex, attributes = {}) {
+        const child = this._requirePerson(id);
+        if (this._getParentIds(child).length >= 2) {
+            throw new Error(`"${id}" already has two parents.`);
+        }
+        const parent = this._createPerson(sex, attributes);
+        return this._applyEdit({ type: 'addParent', id, ids: [parent.id] }, () => {
+            const otherParentId = this._getParentIds(child)[0];
+            child.parents = otherParentId ? [otherParentId, parent.id] : [parent.id];
+            if (otherParentId) {
+                parent.mate = otherParentId;
+            }
+            this._insertPerson(parent, child.pos && {
+                x: otherParentId ? this._getPerson(otherParentId).pos.x + 1 : child.pos.x,
+                y: child.pos.y - 1
+            });
+            return parent.id;
+        });
+    }
+
+    /**
+     * Adds a father and a mother to an individual without parents.
+     * @param {string} id The child.
+     * @returns {{fatherId: string, motherId: string}}
+     */
+    addParents(id) {
+        const child = this._requirePerson(id);
+        if (this._getParentIds(child).length > 0) {
+            throw new Error(`"${id}" already has parents.`);
+        }
+        const father = this._createPerson('M');
+        const mother = this._createPerson('F', { mate: father.id });
+        return this._applyEdit({ type: 'addParents', id, ids: [father.id, mother.id] }, () => {
+            child.parents = [father.id, mother.id];
+            this._insertPerson(father, child.pos && { x: child.pos.x - 0.5, y: child.pos.y - 1 }, 2);
+            this._insertPerson(mother, father.pos && { x: father.pos.x + 1, y: father.pos.y });
+            return { fatherId: father.id, motherId: mother.id };
+        });
+    }
+
+    /**
+     * Adds a new partner to an individual, of the opposite sex when theirs is known.
+     * @param {string} id The individual.
+     * @param {Object} [attributes] Further fields for the new individual.
+     * @returns {string} The id of the new partner.
+     */
+    addPartner(id, attributes = {}) {
+        const person = this._requirePerson(id);
+        const sex = attributes.sex || ({ M: 'F', F: 'M' }[person.sex] || 'U');
+        const partner = this._createPerson(sex, attributes);
+        return this._applyEdit({ type: 'addPartner', id, ids: [partner.id] }, () => {
+            PedigreeMaker._addMate(person, partner.id);
+            this._insertPerson(partner, person.pos && { x: person.pos.x + 1, y: person.pos.y });
+            return partner.id;
+        });
+    }
+
+    /**
+     * Adds a child to an individual. Without a partnerId, the child belongs to the
+     * individual's only partner, or hangs from a placeholder when there is none.
+     * @param {string} id The parent.
+     * @param {Object} [options]
+     * @param {string} [options.sex='U'] 'M', 'F' or 'U'.
+     * @param {string} [options.partnerId] The other parent.
+     * @param {Object} [options.attributes] Further fields for the new individual.
+     * @returns {string} The id of the new child.
+     */
+    addChild(id, options = {}) {
+        const parent = this._requirePerson(id);
+        let partnerId = options.partnerId;
+        if (partnerId === undefined) {
+            const partners = this._getPartnerIds(id);
+            partnerId = partners.length === 1 ? partners[0] : undefined;
+        } else {
+            this._requirePerson(partnerId);
+        }
+        const child = this._createPerson(options.sex || 'U', options.attributes);
+        return this._applyEdit({ type: 'addChild', id, ids: [child.id] }, () => {
+            child.parents = partnerId ? [id, partnerId] : [id];
+            if (partnerId && !this._getPartnerIds(id).includes(partnerId)) {
+                PedigreeMaker._addMate(parent, partnerId);
+            }
+            const partner = partnerId && this._getPerson(partnerId);
+            this._insertPerson(child, parent.pos && {
+                x: partner && partner.pos ? (parent.pos.x + partner.pos.x) / 2 : parent.pos.x,
+                y: parent.pos.y + 1
+            });
+            return child.id;
+        });
+    }
+
+    /**
+     * Adds a sibling (or twin) to an individual, adding parents first when they have none.
+     * @param {string} id The individual.
+     * @param {Object} [options]
+     * @param {string} [options.sex='U'] 'M', 'F' or 'U'.
+     * @param {string} [options.twin] Zygosity ('MZ', 'DZ' or 'unknown') to add a twin instead of a sibling.
+     * @param {Object} [options.attributes] Further fields for the new individual.
+     * @returns {string} The id of the new sibling.
+     */
+    addSibling(id, options = {}) {
+        const person = this._requirePerson(id);
+        const sibling = this._createPerson(options.sex || 'U', options.attributes);
+        return this._applyEdit({ type: 'addSibling', id, ids: [sibling.id] }, () => {
+            if (this._getParentIds(person).length === 0) {
+                const father = this._createPerson('M');
+                const mother = this._createPerson('F', { mate: father.id });
+                person.parents = [father.id, mother.id];
+                this._insertPerson(father, person.pos && { x: person.pos.x, y: person.pos.y - 1 }, 2);
+                this._insertPerson(mother, father.pos && { x: father.pos.x + 1, y: father.pos.y });
+            }
+            sibling.parents = this._getParentIds(person).slice();
+            if (options.twin) {
+                if (!person.twin || !person.twin.id) {
+                    person.twin = { id: this._generateId('twin'), zygosity: options.twin };
+                }
+                sibling.twin = Object.assign({}, person.twin);
+            }
+            this._insertPerson(sibling, person.pos && { x: person.pos.x + 1, y: person.pos.y });
+            return sibling.id;
+        });
+    }
+
+    /**
+     * Changes fields of an individual, e.g. { name, sex, phenotypes, deceased }. Fields set
+     * to undefined are removed. The id cannot be changed.
+     * @param {string} id The individual.
+     * @param {Object} changes The fields to change.
+     */
+    updatePerson(id, changes) {
+        const person = this._requirePerson(id);
+        this._applyEdit({ type: 'updatePerson', id, ids: [id], changes }, () => {
+            Object.keys(changes).forEach(key => {
+                if (key === 'id') return;
+                if (changes[key] === undefined) {
+                    delete person[key];
+                } else {
+                    person[key] = JSON.parse(JSON.stringify(changes[key]));
+                }
+            });
+        });
+    }
+
+    /**
+     * Deletes an individual and relinks the pedigree:
+     * - mate links to them are removed, and their children keep only their other parent;
+     * - partners who only married into the pedigree through them (no parents, no other
+     *   partners, no remaining children) are deleted with them;
+     * - a twin left without a co-twin loses its twin marker.
+     * @param {string} id The individual.
+     * @returns {Array<string>} The ids of everyone deleted.
+     */
+    deletePerson(id) {
+        this._requirePerson(id);
+        const removed = [id];
+        this._getPartnerIds(id).forEach(partnerId => {
+            const partner = this._getPerson(partnerId);
+            const hasOtherPartners = this._getPartnerIds(partnerId).some(otherId => otherId !== id);
+            const hasOtherChildren = this.data.some(p => p.id !== id && (p.parents || []).includes(partnerId) && !(p.parents || []).includes(id));
+            if (this._getParentIds(partner).length === 0 && !hasOtherPartners && !hasOtherChildren &&
+                !this.data.some(p => (p.parents || []).includes(partnerId) && (p.parents || []).includes(id))) {
+                removed.push(partnerId);
+            }
+        });
+
+        return this._applyEdit({ type: 'deletePerson', id, ids: removed }, () => {
+            const twinId = this._getPerson(id).twin && this._getPerson(id).twin.id;
+            this.data = this.data.filter(p => !removed.includes(p.id));
+            this.data.forEach(person => {
+                if (person.parents) {
+                    person.parents = person.parents.filter(parentId => !removed.includes(parentId));
+                    if (person.parents.length === 0) delete person.parents;
+                }
+                const mates = this._getMates(person).filter(mate => !removed.includes(mate.id));
+                if (mates.length === 0) {
+                    delete person.mate;
+                } else if (Array.isArray(person.mate)) {
+                    person.mate = person.mate.filter(mate => !removed.includes(typeof mate === 'string' ? mate : mate.id));
+                }
+            });
+            if (twinId) {
+                const twins = this.data.filter(p => p.twin && p.twin.id === twinId);
+                if (twins.length === 1) delete twins[0].twin;
+            }
+            return removed;
+        });
+    }
+
+    /**
+     * Opens the edit menu for an individual at the given viewport position.
+     * @param {string} id The individual.
+     * @param {number} clientX Horizontal position in the viewport.
+     * @param {number} clientY Vertical position in the viewport.
+     */
+    openEditMenu(id, clientX, clientY) {
+        const person = this._requirePerson(id);
+        this.closeEditMenu();
+
+        const menu = document.createElement('div');
+        menu.className = 'pedigree-edit-menu';
+        menu.setAttribute('role', 'menu');
+        Object.assign(menu.style, {
+            position: 'fixed',
+            left: `${clientX}px`,
+            top: `${clientY}px`,
+            minWidth: '180px',
+            padding: '4px 0',
+            background: '#fff',
+            border: '1px solid #ccc',
+            borderRadius: '4px',
+            boxShadow: '0 4px 6px rgba(0,0,0,0.15)',
+            font: this.config.font,
+            zIndex: 1000
+        });
+
+        this._getEditMenuItems(person).forEach(item => {
+            const element = document.createElement('div');
+            if (item === '-') {
+                Object.assign(element.style, { borderTop: '1px solid #eee', margin: '4px 0' });
+            } else {
+                element.setAttribute('role', 'menuitem');
+                element.textContent = `${item.checked ? '\u2713 ' : ''}${item.label}`;
+                Object.assign(element.style, { padding: '4px 12px', cursor: 'pointer', whiteSpace: 'nowrap' });
+                element.addEventListener('mouseenter', () => { element.style.background = '#f0f0f0'; });
+                element.addEventListener('mouseleave', () => { element.style.background = ''; });
+                element.addEventListener('click', () => {
+                    this.closeEditMenu();
+                    item.action();
+                });
+            }
+            menu.appendChild(element);
+        });
+
+        document.body.appendChild(menu);
+        this._editMenu = menu;
+        this._editMenuDismiss = (e) => {
+            if (e.type === 'keydown' ? e.key === 'Escape' : !menu.contains(e.target)) {
+                this.closeEditMenu();
+            }
+        };
+        // Registered after the current event so the opening click does not close the menu again
+        setTimeout(() => {
+            if (this._editMenu !== menu) return;
+            document.addEventListener('mousedown', this._editMenuDismiss);
+            document.addEventListener('keydown', this._editMenuDismiss);
+        }, 0);
+    }
+
+    /**
+     * Closes the edit menu if it is open.
+     */
+    closeEditMenu() {
+        if (!this._editMenu) return;
+        this._editMenu.remove();
+        this._editMenu = null;
+        document.removeEventListener('mousedown', this._editMenuDismiss);
+        document.removeEventListener('keydown', this._editMenuDismiss);
+    }
+
+    /**
+     * The entries of the edit menu for an individual; '-' is a separator.
+     * @private
+     */
+    _getEditMenuItems(person) {
+        const id = person.id;
+        const parentCount = this._getParentIds(person).length;
+        const items = [];
+        if (parentCount === 0) items.push({ label: 'Add parents', action: () => this.addParents(id) });
+        if (parentCount < 2 && !this._getParentIds(person).some(parentId => this._getPerson(parentId).sex === 'M')) {
+            items.push({ label: 'Add father', action: () => this.addParent(id, 'M') });
+        }
+        if (parentCount < 2 && !this._getParentIds(person).some(parentId => this._getPerson(parentId).sex === 'F')) {
+            items.push({ label: 'Add mother', action: () => this.addParent(id, 'F') });
+        }
+        items.push(
+            { label: 'Add partner', action: () => this.addPartner(id) },
+            { label: 'Add son', action: () => this.addChild(id, { sex: 'M' }) },
+            { label: 'Add daughter', action: () => this.addChild(id, { sex: 'F' }) },
+            { label: 'Add child of unknown sex', action: () => this.addChild(id, { sex: 'U' }) },
+            { label: 'Add brother', action: () => this.addSibling(id, { sex: 'M' }) },
+            { label: 'Add sister', action: () => this.addSibling(id, { sex: 'F' }) },
+            { label: 'Add identical twin', action: () => this.addSibling(id, { sex: person.sex, twin: 'MZ' }) },
+            { label: 'Add fraternal twin', action: () => this.addSibling(id, { sex: 'U', twin: 'DZ' }) },
+            '-'
+        );
+        if (typeof this.config.onEditName === 'function') {
+            items.push({
+                label: 'Edit name\u2026',
+                action: () => this.config.onEditName(Object.assign({}, person), name => this.updatePerson(id, { name }))
+            });
+        }
+        items.push(
+            { label: 'Male', checked: person.sex === 'M', action: () => this.updatePerson(id, { sex: 'M' }) },
+            { label: 'Female', checked: person.sex === 'F', action: () => this.updatePerson(id, { sex: 'F' }) },
+            { label: 'Unknown sex', checked: person.sex !== 'M' && person.sex !== 'F', action: () => this.updatePerson(id, { sex: 'U' }) },
+            { label: 'Deceased', checked: !!person.deceased, action: () => this.updatePerson(id, { deceased: person.deceased ? undefined : true }) },
+            '-'
+        );
+        Object.keys(this.config.phenotypes).forEach(phenotypeId => {
+            const phenotypes = person.phenotypes || [];
+            const has = phenotypes.includes(phenotypeId);
+            items.push({
+                label: this.config.phenotypes[phenotypeId].description || phenotypeId,
+                checked: has,
+                action: () => {
+                    const next = has ? phenotypes.filter(p => p !== phenotypeId) : [...phenotypes, phenotypeId];
+                    this.updatePerson(id, { phenotypes: next.length > 0 ? next : undefined });
+                }
+            });
+        });
+        items.push('-', { label: 'Delete', action: () => this.deletePerson(id) });
+        return items;
+    }
+
+    /**
+     * Runs a mutation of this.data, then re-validates, re-lays out, re-renders and fires
+     * `config.onDataChange(data, change)`.
+     * @private
+     */
+    _applyEdit(change, mutate) {
+        this._beginChange(change.type);
+        const before = this._pendingChange.before;
+        let result;
+        try {
+            // Relationships change halfway through an edit, so lookups bypass the index
+            this._mutating = true;
+            result = mutate();
+            this._mutating = false;
+            this._checkData();
+        } catch (error) {
+            // Roll back a partial or rejected edit
+            this._mutating = false;
+            this._pendingChange = null;
+            this.data = JSON.parse(before.data);
+            this._checkData();
+            throw error;
+        }
+        if (this._needsAutoLayout()) {
+            this._computeAutoLayout();
+        }
+        this.render();
+        this._commitChange();
+        this._emitChange(change);
+        return result;
+    }
+
+    /**
+     * Notifies the host application that the data changed.
+     * @private
+     */
+    _emitChange(change) {
+        const data = this.getData();
+        if (this.config.onDataChange && typeof this.config.onDataChange === 'function') {
+            this.config.onDataChange(data, change);
+        }
+        this._emit('dataChange', { data, change });
+    }
+
+    /**
+     * @private
+     */
+    _requirePerson(id) {
+        const person = this._getPerson(id);
+        if (!person) {
+            throw new Error(`Individual with ID "${id}" not found.`);
+        }
+        return person;
+    }
+
+    /**
+     * Ids of everyone an individual has a partnership with, declared on either side or
+     * through a common child.
+     * @private
+     */
+    _getPartnerIds(id) {
+        const partnerIds = [];
+        this._getPartnershipsInvolving([id]).forEach(partnership => {
+            if (!partnership.placeholder && partnership.ids.includes(id)) {
+                partnerIds.push(partnership.ids.find(otherId => otherId !== id));
+            }
+        });
+        return partnerIds;
+    }
+
+    /**
+     * Generates an id that is not used yet.
+     * @private
+     */
+    _generateId(prefix = 'p') {
+        let n = this.data.length + 1;
+        const taken = id => this.data.some(p => p.id === id) || (this._pendingIds && this._pendingIds.has(id));
+        while (taken(`${prefix}${n}`)) n++;
+        return `${prefix}${n}`;
+    }
+
+    /**
+     * Creates (but does not insert) a new individual with a fresh id.
+     * @private
+     */
+    _createPerson(sex, attributes = {}) {
+        const person = Object.assign({ name: '' }, JSON.parse(JSON.stringify(attributes || {})), {
+            id: this._generateId(),
+            sex: sex === 'M' || sex === 'F' ? sex : 'U'
+        });
+        // Reserve the id until the person is inserted, so several new people get distinct ids
+        this._pendingIds = this._pendingIds || new Set();
+        this._pendingIds.add(person.id);
+        return person;
+    }
+
+    /**
+     * Adds a new individual to this.data. In grid mode it goes to the free cell nearest
+     * to the preferred position; rows are shifted down when a row above the top is needed.
+     * @param {Object} person The individual.
+     * @param {{x: number, y: number}} [preferred] Preferred grid position.
+     * @param {number} [cells=1] Number of adjacent free cells to look for.
+     * @private
+     */
+    _insertPerson(person, preferred, cells = 1) {
+        this._pendingIds.delete(person.id);
+        if (preferred && this.config.layout !== 'auto') {
+            if (preferred.y < 0) {
+                this.data.forEach(p => {
+                    if (p.pos) p.pos.y += -preferred.y;
+                });
+                preferred = { x: preferred.x, y: 0 };
+            }
+            const isFree = x => !this.data.some(p => p.pos && p.pos.y === preferred.y && Math.abs(p.pos.x - x) < 1);
+            const fits = x => x >= 0 && Array.from({ length: cells }, (_, i) => x + i).every(isFree);
+            let x = Math.max(0, preferred.x);
+            for (let distance = 0; distance <= this.data.length + cells; distance++) {
+                if (fits(preferred.x + distance)) { x = preferred.x + distance; break; }
+                if (fits(preferred.x - distance)) { x = preferred.x - distance; break; }
+            }
+            person.pos = { x, y: preferred.y };
+        }
+        this.data.push(person);
+    }
+
+    /**
+     * Checks the pedigree data for problems that would otherwise break or silently
+     * distort the chart. Each issue is an object of the form
+     * `{ type, severity, message, ids }`, where `ids` lists the individuals involved and
+     * `type` is one of: 'missing-id', 'duplicate-id', 'self-reference', 'dangling-parent',
+     * 'dangling-mate', 'too-many-parents', 'ancestry-cycle', 'same-sex-parents',
+     * 'child-above-parent' or 'non-reciprocal-mate'. Errors make the data unusable,
+     * warnings are likely mistakes that can still be drawn.
+     * @returns {Array<Object>} The issues found; empty when the data is valid.
+     */
+    validate() {
+        const issues = [];
+        const report = (type, severity, ids, message) => issues.push({ type, severity, message, ids });
+        const byId = new Map();
+
+        this.data.forEach((person, index) => {
+            if (!person || person.id === undefined || person.id === null || person.id === '') {
+                report('missing-id', 'error', [], `Entry ${index} has no id.`);
+                return;
+            }
+            if (byId.has(person.id)) {
+                report('duplicate-id', 'error', [person.id], `The id "${person.id}" is used by more than one individual.`);
+                return;
+            }
+            byId.set(person.id, person);
+        });
+
+        byId.forEach((person, id) => {
+            const parents = person.parents || [];
+            if (parents.length > 2) {
+                report('too-many-parents', 'error', [id, ...parents], `"${id}" lists ${parents.length} parents.`);
+            }
+            parents.filter(Boolean).forEach(parentId => {
+                if (parentId === id) {
+                    report('self-reference', 'error', [id], `"${id}" is listed as their own parent.`);
+                } else if (!byId.has(parentId)) {
+                    report('dangling-parent', 'error', [id], `"${id}" lists the parent "${parentId}", who is not in the pedigree.`);
+                }
+            });
+
+            const knownParents = parents.filter(parentId => parentId !== id && byId.has(parentId)).map(parentId => byId.get(parentId));
+            if (knownParents.length === 2 && knownParents[0].sex === knownParents[1].sex && ['M', 'F'].includes(knownParents[0].sex)) {
+                report('same-sex-parents', 'warning', [id, knownParents[0].id, knownParents[1].id],
+                    `The biological parents of "${id}" are both ${knownParents[0].sex === 'M' ? 'male' : 'female'}.`);
+            }
+            knownParents.forEach(parent => {
+                if (person.pos && parent.pos && person.pos.y <= parent.pos.y) {
+                    report('child-above-parent', 'warning', [id, parent.id], `"${id}" is not placed below their parent "${parent.id}".`);
+                }
+            });
+
+            this._getMates(person).forEach(mate => {
+                if (mate.id === id) {
+                    report('self-reference', 'error', [id], `"${id}" is listed as their own mate.`);
+                    return;
+                }
+                const partner = byId.get(mate.id);
+                if (!partner) {
+                    report('dangling-mate', 'error', [id], `"${id}" lists the mate "${mate.id}", who is not in the pedigree.`);
+                    return;
+                }
+                // A one-sided link is fine; a partner who lists other mates but not this person is not
+                const partnerMates = this._getMates(partner);
+                if (partnerMates.length > 0 && !partnerMates.some(m => m.id === id)) {
+                    report('non-reciprocal-mate', 'warning', [id, mate.id],
+                        `"${id}" lists "${mate.id}" as mate, but "${mate.id}" does not list "${id}".`);
+                }
+            });
+        });
+
+        // Depth-first search along the parent links to find individuals who are their own ancestors
+        const state = new Map();
+        const path = [];
+        const visit = (id) => {
+            state.set(id, 'visiting');
+            path.push(id);
+            (byId.get(id).parents || []).forEach(parentId => {
+                if (parentId === id || !byId.has(parentId)) return;
+                if (state.get(parentId) === 'visiting') {
+                    const cycle = path.slice(path.indexOf(parentId));
+                    report('ancestry-cycle', 'error', cycle, `Ancestry cycle: ${cycle.map(c => `"${c}"`).join(' \u2192 ')} \u2192 "${parentId}".`);
+                } else if (!state.has(parentId)) {
+                    visit(parentId);
+                }
+            });
+            path.pop();
+            state.set(id, 'done');
+        };
+        byId.forEach((person, id) => {
+            if (!state.has(id)) visit(id);
+        });
+
+        this.validationIssues = issues;
+        return issues;
+    }
+
+    /**
+     * Validates the data according to `config.validation`.
+     * @private
+     */
+    _checkData() {
+        this._invalidateGraph();
+        if (this.config.validation === 'off') {
+            this.validationIssues = [];
+            return;
+        }
+        const issues = this.validate();
+        if (this.config.validation === 'throw' && issues.some(issue => issue.severity === 'error')) {
+            const error = new Error(`Invalid pedigree data: ${issues.map(issue => issue.message).join(' ')}`);
+            error.issues = issues;
+            throw error;
+        }
+        if (this.config.validation === 'warn') {
+            issues.forEach(issue => console.warn(`PedigreeMaker: ${issue.message}`));
+        }
+        this._validationPending = false;
+        this._emit('validate', { issues: issues.slice() });
+    }
+
+    /**
+     * Computes Mendelian carrier and affected probabilities for every untested individual
+     * by exact Bayesian calculation over the whole pedigree. Affection status of the given
+     * phenotype, genotype test results and (obligate) carrier flags are used as evidence;
+     * individuals with `affection: 'unknown'` and ongoing pregnancies contribute none.
+     *
+     * The prior only uses what is known about relatives who are not the individual's
+     * descendants; the posterior conditions on the whole pedigree. `carrier` is the
+     * probability of being heterozygous for AR and XLR, and of having the variant at all
+     * for AD and XLD. `affected` is the probability of a penetrant genotype.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.phenotype='default_affected'] The phenotype that marks affected individuals.
+     * @param {string} [options.mode] 'AD', 'AR', 'XLR' or 'XLD'; defaults to `config.inheritanceMode`.
+     * @param {number} [options.penetrance=1] Probability that a disease genotype is affected.
+     * @param {number} [options.alleleFrequency=0.001] Population frequency of the variant, for founders.
+     * @param {string} [options.variant] Only count genotype results for this variant.
+     * @param {boolean} [options.showLabels] Print the posterior risks under each individual.
+     * @returns {Object<string, {prior: {carrier: number, affected: number}, posterior: {carrier: number, affected: number}}>}
+     *          The risks by individual id.
+     */
+    calculateRisk(options = {}) {
+        const mode = options.mode || this.config.inheritanceMode;
+        if (!['AD', 'AR', 'XLR', 'XLD'].includes(mode)) {
+            throw new Error(`Unsupported inheritance mode "${mode}". Use 'AD', 'AR', 'XLR' or 'XLD'.`);
+        }
+        const model = {
+            mode,
+            phenotype: options.phenotype || 'default_affected',
+            penetrance: options.penetrance === undefined ? 1 : options.penetrance,
+            alleleFrequency: options.alleleFrequency === undefined ? 0.001 : options.alleleFrequency,
+            variant: options.variant,
+            xLinked: mode === 'XLR' || mode === 'XLD'
+        };
+        const network = this._buildRiskNetwork(model);
+
+        const ancestorsOf = new Map(this.data.map(person => [person.id, this._getAncestorIds(person.id)]));
+        const results = {};
+        this.data.forEach(person => {
+            if (this._getRiskGenotypes(person, model).some(genotype => genotype.test === 'positive' || genotype.test === 'negative')) return;
+
+            // The prior ignores the evidence of the individual and their descendants
+            const priorFactors = network.factors.filter(factor => !factor.evidence ||
+                (factor.evidence !== person.id && !ancestorsOf.get(factor.evidence).has(person.id)));
+            const summarize = distribution => {
+                const risk = { carrier: 0, affected: 0 };
+                network.states[person.id].forEach((state, i) => {
+                    if (this._isRiskCarrier(state, model)) risk.carrier += distribution[i];
+                    risk.affected += distribution[i] * this._getPenetrance(state, model);
+                });
+                return risk;
+            };
+            results[person.id] = {
+                prior: summarize(this._getMarginal(priorFactors, network.states, person.id, network.order)),
+                posterior: summarize(this._getMarginal(network.factors, network.states, person.id, network.order))
+            };
+        });
+
+        this.riskResults = results;
+        if (options.showLabels !== undefined) {
+            this.config.showRiskLabels = options.showLabels;
+        }
+        if (this.config.showRiskLabels) {
+            this.render();
+        }
+        return results;
+    }
+
+    /**
+     * Removes the results of calculateRisk() and their labels.
+     */
+    clearRisk() {
+        this.riskResults = null;
+        this.render();
+    }
+
+    /**
+     * Checks which Mendelian inheritance modes fit the affected and unaffected individuals
+     * of a phenotype, assuming full penetrance and no new mutations. Individuals with
+     * `affection: 'unknown'`, ongoing pregnancies and missing parents are not held
+     * against any mode. Each conflict names the individuals that rule the mode out.
+     * @param {string} [phenotype='default_affected'] The phenotype that marks affected individuals.
+     * @returns {Object<string, {compatible: boolean, conflicts: Array<{ids: Array<string>, message: string}>}>}
+     *          The result for each of 'AD', 'AR', 'XLR', 'XLD', 'YL' and 'MT'.
+     */
+    checkInheritance(phenotype = 'default_affected') {
+        const results = {};
+        ['AD', 'AR', 'XLR', 'XLD', 'YL', 'MT'].forEach(mode => {
+            results[mode] = { compatible: true, conflicts: [] };
+        });
+        const conflict = (mode, ids, message) => {
+            results[mode].compatible = false;
+            results[mode].conflicts.push({ ids, message });
+        };
+
+        const status = person => {
+            if (!person || person.affection === 'unknown' || (person.pregnancy && !person.pregnancyLoss)) return null;
+            return (person.phenotypes || []).includes(phenotype) ? 'affected' : 'unaffected';
+        };
+        const name = person => person.name ? `${person.name.split('\n')[0]} (${person.id})` : person.id;
+
+        this.data.forEach(child => {
+            const childStatus = status(child);
+            if (!childStatus) return;
+            const parents = this._getParentIds(child).map(id => this._getPerson(id)).filter(Boolean);
+            const father = parents.find(parent => parent.sex === 'M');
+            const mother = parents.find(parent => parent.sex === 'F');
+            const fatherStatus = status(father);
+            const motherStatus = status(mother);
+
+            if (childStatus === 'affected') {
+                if (child.sex === 'F') {
+                    conflict('YL', [child.id], `${name(child)} is female and affected.`);
+                }
+                if (parents.length === 2 && parents.every(parent => status(parent) === 'unaffected')) {
+                    const ids = [child.id, ...parents.map(parent => parent.id)];
+                    conflict('AD', ids, `${name(child)} is affected but neither parent is.`);
+                    conflict('XLD', ids, `${name(child)} is affected but neither parent is.`);
+                }
+                if (child.sex === 'F' && fatherStatus === 'unaffected') {
+                    conflict('XLR', [child.id, father.id], `${name(child)} is an affected daughter of an unaffected father.`);
+                }
+                if (child.sex === 'M' && motherStatus === 'unaffected') {
+                    conflict('XLD', [child.id, mother.id], `${name(child)} is an affected son of an unaffected mother.`);
+                }
+                if (child.sex === 'M' && fatherStatus === 'unaffected') {
+                    conflict('YL', [child.id, father.id], `${name(child)} is an affected son of an unaffected father.`);
+                }
+                if (motherStatus === 'unaffected') {
+                    conflict('MT', [child.id, mother.id], `${name(child)} is affected but their mother is not.`);
+                }
+            } else {
+                if (parents.length === 2 && parents.every(parent => status(parent) === 'affected')) {
+                    conflict('AR', [child.id, ...parents.map(parent => parent.id)], `${name(child)} is unaffected although both parents are affected.`);
+                }
+                if (child.sex === 'M' && motherStatus === 'affected') {
+                    conflict('XLR', [child.id, mother.id], `${name(child)} is an unaffected son of an affected mother.`);
+                }
+                if (child.sex === 'F' && fatherStatus === 'affected') {
+                    conflict('XLD', [child.id, father.id], `${name(child)} is an unaffected daughter of an affected father.`);
+                }
+                if (child.sex === 'M' && fatherStatus === 'affected') {
+                    conflict('YL', [child.id, father.id], `${name(child)} is an unaffected son of an affected father.`);
+                }
+                if (motherStatus === 'affected') {
+                    conflict('MT', [child.id, mother.id], `${name(child)} is unaffected but their mother is affected.`);
+                }
+            }
+        });
+        return results;
+    }
+
+    /**
+     * Turns the pedigree into genotype variables and factors: founder priors, Mendelian
+     * transmission from both parents and the phenotype and test evidence of each
+     * individual. Missing parents become extra founder variables.
+     * @private
+     */
+    _buildRiskNetwork(model) {
+        const q = model.alleleFrequency;
+        const states = {};
+        const factors = [];
+        const byId = new Map(this.data.map(person => [person.id, person]));
+
+        const founderPrior = state => {
+            const male = state.sex === 'M' && model.xLinked;
+            const probability = male
+                ? (state.copies === 1 ? q : 1 - q)
+                : [(1 - q) * (1 - q), 2 * q * (1 - q), q * q][state.copies];
+            return probability * (state.sexProbability || 1);
+        };
+
+        this.data.forEach(person => {
+            states[person.id] = this._getRiskStates(person.sex, model);
+        });
+
+        this.data.forEach(person => {
+            const parentIds = this._getParentIds(person).filter(parentId => byId.has(parentId)).slice(0, 2);
+            if (parentIds.length === 0) {
+                factors.push({ vars: [person.id], values: states[person.id].map(founderPrior) });
+            } else {
+                // Unknown parents are founders, of the opposite sex to a known parent
+                while (parentIds.length < 2) {
+                    const knownSex = byId.get(parentIds[0]).sex;
+                    const missingId = `${person.id}#parent${parentIds.length}`;
+                    states[missingId] = this._getRiskStates({ M: 'F', F: 'M' }[knownSex], model);
+                    factors.push({ vars: [missingId], values: states[missingId].map(founderPrior) });
+                    parentIds.push(missingId);
+                }
+                const [first, second] = parentIds;
+                const values = [];
+                states[person.id].forEach(childState => {
+                    states[first].forEach(firstState => {
+                        states[second].forEach(secondState => {
+                            values.push(this._getTransmission(childState, firstState, secondState, model));
+                        });
+                    });
+                });
+                factors.push({ vars: [person.id, first, second], values });
+            }
+
+            const affected = (person.phenotypes || []).includes(model.phenotype);
+            const unknown = person.affection === 'unknown' || (person.pregnancy && !person.pregnancyLoss);
+            const genotypes = this._getRiskGenotypes(person, model);
+            const isCarrier = person.carrier || person.obligateCarrier;
+            factors.push({
+                vars: [person.id],
+                evidence: person.id,
+                values: states[person.id].map(state => {
+                    let likelihood = 1;
+                    if (!unknown) {
+                        const penetrance = this._getPenetrance(state, model);
+                        likelihood *= affected ? penetrance : 1 - penetrance;
+                    }
+                    genotypes.forEach(genotype => {
+                        if (genotype.test === 'negative' && state.copies > 0) likelihood = 0;
+                        if (genotype.test === 'positive' && state.copies === 0) likelihood = 0;
+                        const copies = { heterozygous: 1, homozygous: 2, hemizygous: 1 }[genotype.zygosity];
+                        if (genotype.test === 'positive' && copies !== undefined && state.copies !== copies) likelihood = 0;
+                    });
+                    if (isCarrier && state.copies === 0) likelihood = 0;
+                    return likelihood;
+                })
+            });
+        });
+        return { states, factors, order: this._getEliminationOrder(factors, states) };
+    }
+
+    /**
+     * The genotype states an individual can have. Autosomal states count variant copies;
+     * X-linked states also carry the sex, and individuals of unknown sex can be either.
+     * @private
+     */
+    _getRiskStates(sex, model) {
+        if (!model.xLinked) return [0, 1, 2].map(copies => ({ copies }));
+        const male = [0, 1].map(copies => ({ sex: 'M', copies }));
+        const female = [0, 1, 2].map(copies => ({ sex: 'F', copies }));
+        if (sex === 'M') return male;
+        if (sex === 'F') return female;
+        return male.concat(female).map(state => Object.assign(state, { sexProbability: 0.5 }));
+    }
+
+    /**
+     * Probability of a child's genotype state given the states of both parents.
+     * @private
+     */
+    _getTransmission(child, first, second, model) {
+        const sexProbability = child.sexProbability || 1;
+        if (!model.xLinked) {
+            const a = first.copies / 2;
+            const b = second.copies / 2;
+            return [(1 - a) * (1 - b), a * (1 - b) + (1 - a) * b, a * b][child.copies];
+        }
+        if (first.sex === second.sex) return 0;
+        const [father, mother] = first.sex === 'M' ? [first, second] : [second, first];
+        const fromMother = mother.copies / 2;
+        if (child.sex === 'M') {
+            // Sons get their X from the mother only
+            return (child.copies === 1 ? fromMother : 1 - fromMother) * sexProbability;
+        }
+        const fromFather = father.copies;
+        return [
+            (1 - fromMother) * (1 - fromFather),
+            fromMother * (1 - fromFather) + (1 - fromMother) * fromFather,
+            fromMother * fromFather
+        ][child.copies] * sexProbability;
+    }
+
+    /**
+     * Probability that a genotype state is affected under the inheritance model.
+     * @private
+     */
+    _getPenetrance(state, model) {
+        let diseaseGenotype;
+        switch (model.mode) {
+            case 'AR':
+                diseaseGenotype = state.copies === 2;
+                break;
+            case 'XLR':
+                diseaseGenotype = state.copies === 2 || (state.sex === 'M' && state.copies === 1);
+                break;
+            default:
+                diseaseGenotype = state.copies > 0;
+        }
+        return diseaseGenotype ? model.penetrance : 0;
+    }
+
+    /**
+     * @private
+     */
+    _isRiskCarrier(state, model) {
+        if (model.mode === 'AR') return state.copies === 1;
+        if (model.mode === 'XLR') return state.sex === 'F' && state.copies === 1;
+        return state.copies > 0;
+    }
+
+    /**
+     * Genotype results that count as evidence for the variant being analysed.
+     * @private
+     */
+    _getRiskGenotypes(person, model) {
+        return this._getGenotypes(person).filter(genotype => !model.variant || genotype.variant === model.variant);
+    }
+
+    /**
+     * Order in which variable elimination sums out the variables of a network: greedily
+     * the variable whose neighbours form the smallest factor, updating the neighbours as
+     * if it had been summed out. Evidence factors only involve one variable, so the order
+     * suits every subset of them.
+     * @private
+     */
+    _getEliminationOrder(factors, states) {
+        const neighbours = new Map();
+        factors.forEach(factor => factor.vars.forEach(variable => {
+            if (!neighbours.has(variable)) neighbours.set(variable, new Set());
+            factor.vars.forEach(other => {
+                if (other !== variable) neighbours.get(variable).add(other);
+            });
+        }));
+
+        const order = [];
+        while (neighbours.size > 0) {
+            let best = null;
+            let bestCost = Infinity;
+            neighbours.forEach((adjacent, variable) => {
+                let cost = states[variable].length;
+                adjacent.forEach(other => { cost *= states[other].length; });
+                if (cost < bestCost) {
+                    best = variable;
+                    bestCost = cost;
+                }
+            });
+            // Summing out a variable links all of its neighbours
+            const adjacent = neighbours.get(best);
+            adjacent.forEach(variable => {
+                const others = neighbours.get(variable);
+                others.delete(best);
+                adjacent.forEach(other => {
+                    if (other !== variable) others.add(other);
+                });
+            });
+            neighbours.delete(best);
+            order.push(best);
+        }
+        return order;
+    }
+
+    /**
+     * Marginal distribution of one variable by bucket elimination: each factor waits in
+     * the bucket of its first variable in `order`, and each bucket in turn is multiplied
+     * and summed over its variable, passing the result on to the next bucket it involves.
+     * @private
+     */
+    _getMarginal(factors, states, target, order) {
+        const size = variable => states[variable].length;
+        const position = new Map(order.map((variable, i) => [variable, i]));
+        const buckets = order.map(() => []);
+        const result = [];
+        const assign = factor => {
+            let first = -1;
+            factor.vars.forEach(variable => {
+                const i = position.get(variable);
+                if (variable !== target && (first === -1 || i < first)) first = i;
+            });
+            (first === -1 ? result : buckets[first]).push(factor);
+        };
+        factors.forEach(assign);
+
+        buckets.forEach((bucket, i) => {
+            if (bucket.length === 0) return;
+            assign(this._sumOutFactor(bucket.reduce((a, b) => this._multiplyFactors(a, b, size)), order[i], size));
+        });
+
+        const marginal = result.reduce((a, b) => this._multiplyFactors(a, b, size), { vars: [], values: [1] });
+        const total = marginal.values.reduce((sum, value) => sum + value, 0);
+        if (!(total > 0)) {
+            throw new Error('The affection status and test results are impossible under this inheritance model.');
+        }
+        return marginal.values.map(value => value / total);
+    }
+
+    /**
+     * @private
+     */
+    _multiplyFactors(a, b, size) {
+        const vars = a.vars.concat(b.vars.filter(variable => !a.vars.includes(variable)));
+        const sizes = vars.map(size);
+        const indexIn = (factor, assignment) => factor.vars.reduce((index, variable) => index * size(variable) + assignment[vars.indexOf(variable)], 0);
+        const count = sizes.reduce((product, n) => product * n, 1);
+        const values = new Array(count);
+        const assignment = new Array(vars.length).fill(0);
+        for (let i = 0; i < count; i++) {
+            values[i] = a.values[indexIn(a, assignment)] * b.values[indexIn(b, assignment)];
+            for (let k = vars.length - 1; k >= 0; k--) {
+                if (++assignment[k] < sizes[k]) break;
+                assignment[k] = 0;
+            }
+        }
+        return { vars, values };
+    }
+
+    /**
+     * @private
+     */
+    _sumOutFactor(factor, variable, size) {
+        const position = factor.vars.indexOf(variable);
+        const vars = factor.vars.filter(v => v !== variable);
+        const inner = factor.vars.slice(position + 1).reduce((product, v) => product * size(v), 1);
+        const n = size(variable);
+        const values = new Array(factor.values.length / n).fill(0);
+        factor.values.forEach((value, i) => {
+            const outer = Math.floor(i / (inner * n));
+            values[outer * inner + i % inner] += value;
+        });
+        return { vars, values };
+    }
+
+    /**
+     * Parses a PLINK / LINKAGE pedigree file (.ped or .fam) into pedigree data.
+     * Each line holds family, individual, father, mother, sex (1 = male, 2 = female) and
+     * affection (1 = unaffected, 2 = affected, 0 or -9 = missing); further columns are ignored.
+     * Affected individuals get the given phenotype, missing affection is kept as
+     * `affection: 'unknown'`, and parents of a common child become mates.
+     * @param {string} text The file contents.
+     * @param {Object} [options]
+     * @param {string} [options.phenotype='default_affected'] Phenotype assigned to affected individuals.
+     * @returns {Array<Object>} Pedigree data without positions.
+     */
+    static parsePED(text, options = {}) {
+        const phenotype = options.phenotype || 'default_affected';
+        const rows = text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map((line, i) => {
+                const columns = line.split(/\s+/);
+                if (columns.length < 6) {
+                    throw new Error(`PED line ${i + 1} has ${columns.length} columns, expected at least 6.`);
+                }
+                return columns;
+            });
+
+        // Individual ids only have to be unique within a family; prefix them when they clash across families
+        const seen = new Set();
+        const clashes = rows.some(([, iid]) => seen.has(iid) || !seen.add(iid));
+        const toId = (fid, iid) => (clashes ? `${fid}_${iid}` : iid);
+        const isMissing = value => value === '0' || value === '-9' || value === '';
+
+        const data = rows.map(([fid, iid, father, mother, sex, affection]) => {
+            const person = { id: toId(fid, iid), name: iid, family: fid };
+            if (clashes) person.pedId = iid;
+            person.sex = sex === '1' ? 'M' : (sex === '2' ? 'F' : 'U');
+            const parents = [father, mother].filter(parentId => !isMissing(parentId)).map(parentId => toId(fid, parentId));
+            if (parents.length > 0) person.parents = parents;
+            if (affection === '2') {
+                person.phenotypes = [phenotype];
+            } else if (affection !== '1') {
+                person.affection = 'unknown';
+            }
+            return person;
+        });
+
+        PedigreeMaker._linkCoParents(data);
+        return data;
+    }
+
+    /**
+     * Parses the INDI and FAM records of a GEDCOM 5.5 file into pedigree data. Husband
+     * and wife of a family become mates (divorced when the family has a DIV event), and
+     * the family's children get them as parents, in the order of the child's custom
+     * _PARENTS field when it has one. Individuals keep their REFN as id when present,
+     * otherwise their cross-reference id.
+     * @param {string} text The file contents.
+     * @returns {Array<Object>} Pedigree data without positions.
+     */
+    static parseGEDCOM(text) {
+        const records = [];
+        let record = null;
+        let parent = null;
+        text.split(/\r?\n/).forEach(rawLine => {
+            const match = rawLine.trim().match(/^(\d+)\s+(?:(@[^@]+@)\s+)?(\S+)(?:\s(.*))?$/);
+            if (!match) return;
+            const level = Number(match[1]);
+            const line = { xref: match[2], tag: match[3].toUpperCase(), value: (match[4] || '').trim(), children: [] };
+            if (level === 0) {
+                record = line;
+                records.push(record);
+            } else if (record && level === 1) {
+                record.children.push(line);
+                parent = line;
+            } else if (parent && level >= 2) {
+                parent.children.push(line);
+            }
+        });
+        const field = (node, tag) => node.children.find(child => child.tag === tag);
+        const fields = (node, tag) => node.children.filter(child => child.tag === tag);
+
+        const ids = {};
+        const people = {};
+        const parentOrder = {};
+        const data = [];
+        records.filter(r => r.tag === 'INDI').forEach(indi => {
+            const refn = field(indi, 'REFN');
+            const id = refn ? refn.value : indi.xref.replace(/@/g, '');
+            ids[indi.xref] = id;
+
+            const person = { id };
+            const name = field(indi, 'NAME');
+            if (name) person.name = name.value.replace(/\//g, '').replace(/\s+/g, ' ').trim();
+            const sex = field(indi, 'SEX');
+            person.sex = sex && (sex.value === 'M' || sex.value === 'F') ? sex.value : 'U';
+
+            const death = field(indi, 'DEAT');
+            if (death) {
+                person.deceased = true;
+                const age = field(death, 'AGE');
+                if (age) person.ageAtDeath = /^\d+y?$/.test(age.value) ? parseInt(age.value, 10) : age.value;
+            }
+            const phenotypes = fields(indi, '_PHENOTYPE').map(phen => phen.value).filter(Boolean);
+            if (phenotypes.length > 0) person.phenotypes = phenotypes;
+            const affection = field(indi, '_AFFECTED');
+            if (affection && affection.value === 'U') person.affection = 'unknown';
+            if (field(indi, '_PROBAND')) person.isProband = true;
+            const order = field(indi, '_PARENTS');
+            if (order) parentOrder[id] = order.value.split(/\s+/);
+
+            people[id] = person;
+            data.push(person);
+        });
+
+        records.filter(r => r.tag === 'FAM').forEach(fam => {
+            const spouses = ['HUSB', 'WIFE']
+                .map(tag => field(fam, tag))
+                .filter(spouse => spouse && ids[spouse.value])
+                .map(spouse => ids[spouse.value]);
+            const status = field(fam, 'DIV') ? 'divorced' : (field(fam, '_SEPR') ? 'separated' : undefined);
+            if (spouses.length === 2) {
+                PedigreeMaker._addMate(people[spouses[0]], spouses[1], status);
+            }
+            fields(fam, 'CHIL').forEach(chil => {
+                const child = people[ids[chil.value]];
+                if (!child || spouses.length === 0) return;
+                const order = (parentOrder[child.id] || []).map(parentXref => ids[parentXref]);
+                const isSameParents = order.length === spouses.length && spouses.every(id => order.includes(id));
+                child.parents = isSameParents ? order : spouses.slice();
+            });
+        });
+
+        return data;
+    }
+
+    /**
+     * Records a mate on a person, turning `mate` into an array once there are several.
+     * @private
+     */
+    static _addMate(person, mateId, status) {
+        const entry = status ? { id: mateId, status } : mateId;
+        const mates = person.mate ? (Array.isArray(person.mate) ? person.mate : [person.mate]) : [];
+        if (mates.some(mate => (typeof mate === 'string' ? mate : mate.id) === mateId)) return;
+        mates.push(entry);
+        person.mate = mates.length === 1 && typeof entry === 'string' ? entry : mates;
+    }
+
+    /**
+     * Makes the two parents of every child mates of each other.
+     * @private
+     */
+    static _linkCoParents(data) {
+        const byId = new Map(data.map(person => [person.id, person]));
+        data.forEach(person => {
+            if (!person.parents || person.parents.length !== 2) return;
+            const [first, second] = person.parents;
+            const partner = byId.get(second);
+            const isLinked = partner && partner.mate && [].concat(partner.mate).some(mate => (typeof mate === 'string' ? mate : mate.id) === first);
+            if (byId.has(first) && partner && !isLinked) {
+                PedigreeMaker._addMate(byId.get(first), second);
+            }
+        });
+    }
+
+    /**
+     * Replaces the pedigree with the contents of a PED / FAM file and lays it out.
+     * @param {string} text The file contents.
+     * @param {Object} [options] See PedigreeMaker.parsePED().
+     */
+    importPED(text, options = {}) {
+        this.setData(PedigreeMaker.parsePED(text, options));
+    }
+
+    /**
+     * Replaces the pedigree with the contents of a GEDCOM file and lays it out.
+     * @param {string} text The file contents.
+     */
+    importGEDCOM(text) {
+        this.setData(PedigreeMaker.parseGEDCOM(text));
+    }
+
+    /**
+     * Exports the pedigree in PLINK / LINKAGE PED format. Partnerships without children
+     * cannot be expressed in this format and are lost.
+     * @param {Object} [options]
+     * @param {string} [options.phenotype] Phenotype that counts as affected; any phenotype when omitted.
+     * @param {string} [options.familyId='FAM1'] Family id for individuals without a `family`.
+     * @returns {string}
+     */
+    exportPED(options = {}) {
+        const familyId = options.familyId || 'FAM1';
+        const pedId = id => {
+            const person = this._getPerson(id);
+            return person ? String(person.pedId || person.id) : '0';
+        };
+        return this.data.map(person => {
+            const parents = this._getParentIds(person).map(id => this._getPerson(id));
+            let father = parents.find(parent => parent.sex === 'M');
+            let mother = parents.find(parent => parent.sex === 'F' && parent !== father);
+            // Parents of unknown sex fill the remaining columns in the order they are listed
+            parents.filter(parent => parent !== father && parent !== mother).forEach(parent => {
+                if (!father) father = parent;
+                else if (!mother) mother = parent;
+            });
+
+            const sex = person.sex === 'M' ? '1' : (person.sex === 'F' ? '2' : '0');
+            const phenotypes = person.phenotypes || [];
+            const isAffected = options.phenotype ? phenotypes.includes(options.phenotype) : phenotypes.length > 0;
+            const affection = isAffected ? '2' : (person.affection === 'unknown' ? '0' : '1');
+
+            return [
+                person.family || familyId,
+                pedId(person.id),
+                father ? pedId(father.id) : '0',
+                mother ? pedId(mother.id) : '0',
+                sex,
+                affection
+            ].join('\t');
+        }).join('\n') + '\n';
+    }
+
+    /**
+     * Exports the pedigree as GEDCOM 5.5. Ids are kept in REFN fields, phenotypes in
+     * custom _PHENOTYPE fields, unknown affection as `_AFFECTED U` and the order of
+     * each individual's `parents` in a custom _PARENTS field, so a file written here
+     * imports back unchanged.
+     * @returns {string}
+     */
+    exportGEDCOM() {
+        const xref = new Map(this.data.map((person, i) => [person.id, `@I${i + 1}@`]));
+        const lines = ['0 HEAD', '1 SOUR PedigreeMaker', '1 GEDC', '2 VERS 5.5', '2 FORM LINEAGE-LINKED', '1 CHAR UTF-8'];
+        const families = [...this._getPartnerships().values()].filter(partnership =>
+            !partnership.placeholder || partnership.children.length > 0
+        );
+        const familyXref = new Map(families.map((partnership, i) => [partnership.key, `@F${i + 1}@`]));
+
+        this.data.forEach(person => {
+            lines.push(`0 ${xref.get(person.id)} INDI`);
+            if (person.name) lines.push(`1 NAME ${String(person.name).replace(/\n/g, ' ')}`);
+            lines.push(`1 SEX ${person.sex === 'M' || person.sex === 'F' ? person.sex : 'U'}`);
+            if (person.deceased || person.ageAtDeath !== undefined) {
+                lines.push('1 DEAT Y');
+                if (person.ageAtDeath !== undefined) {
+                    lines.push(`2 AGE ${typeof person.ageAtDeath === 'number' ? `${person.ageAtDeath}y` : person.ageAtDeath}`);
+                }
+            }
+            (person.phenotypes || []).forEach(phenotype => lines.push(`1 _PHENOTYPE ${phenotype}`));
+            if (person.affection === 'unknown') lines.push('1 _AFFECTED U');
+            if (person.isProband) lines.push('1 _PROBAND Y');
+            const parentIds = this._getParentIds(person).filter(id => xref.has(id));
+            if (parentIds.length > 0) lines.push(`1 _PARENTS ${parentIds.map(id => xref.get(id)).join(' ')}`);
+            lines.push(`1 REFN ${person.id}`);
+            families.forEach(partnership => {
+                if (partnership.ids.includes(person.id)) lines.push(`1 FAMS ${familyXref.get(partnership.key)}`);
+                if (partnership.children.includes(person.id)) lines.push(`1 FAMC ${familyXref.get(partnership.key)}`);
+            });
+        });
+
+        families.forEach(partnership => {
+            lines.push(`0 ${familyXref.get(partnership.key)} FAM`);
+            // HUSB and WIFE follow sex; partners of the same or unknown sex fill them in listed order
+            const spouses = partnership.ids.filter(id => xref.has(id)).map(id => this._getPerson(id));
+            let husband = spouses.find(spouse => spouse.sex === 'M');
+            let wife = spouses.find(spouse => spouse.sex === 'F');
+            spouses.filter(spouse => spouse !== husband && spouse !== wife).forEach(spouse => {
+                if (!husband) husband = spouse;
+                else if (!wife) wife = spouse;
+            });
+            if (husband) lines.push(`1 HUSB ${xref.get(husband.id)}`);
+            if (wife) lines.push(`1 WIFE ${xref.get(wife.id)}`);
+            if (partnership.status === 'divorced') lines.push('1 DIV Y');
+            if (partnership.status === 'separated') lines.push('1 _SEPR Y');
+            partnership.children.forEach(childId => lines.push(`1 CHIL ${xref.get(childId)}`));
+        });
+
+        lines.push('0 TRLR');
+        return lines.join('\n') + '\n';
+    }
+
+    _getPixelCoords(gridX, gridY) {
+        const origin = this._getOrigin();
+        return {
+            x: gridX * this.config.hSpacing + origin.x,
+            y: gridY * this.config.vSpacing + origin.y
+        };
+    }
+
+    /**
+     * Pixel position of grid cell (0, 0): the padding, plus room for the generation
+     * labels and the header when they are shown.
+     * @private
+     */
+    _getOrigin() {
+        const headerLines = this._getHeaderLines().length;
+        return {
+            x: this.config.padding.left + (this.config.showGenerationLabels ? 40 : 0),
+            y: this.config.padding.top + (headerLines > 0 ? headerLines * 16 + 10 : 0)
+        };
+    }
+    
+    /**
+     * Whether positions have to be computed by the layout engine.
+     * @private
+     */
+    _needsAutoLayout() {
+        return this.config.layout === 'auto' || this.data.some(person => !person.pos);
+    }
+
+    /**
+     * Assigns a generation (row) to every individual: children sit one row below their
+     * lowest parent, partners share a row, and founders are pulled down to sit directly
+     * above their children.
+     * @private
+     */
+    _assignGenerations(people, partnersOf, parentsOf, childrenOf) {
+        const generation = new Map(this.data.map(person => [person.id, 0]));
+        const raise = (id, value) => {
+            if (generation.get(id) < value) {
+                generation.set(id, value);
+                return true;
+            }
+            return false;
+        };
+
+        // Every pass only ever raises values, so a bounded number of passes also protects against ancestry cycles
+        for (let pass = 0; pass <= people.size; pass++) {
+            let changed = false;
+            people.forEach((person, id) => {
+                parentsOf(id).forEach(parentId => {
+                    changed = raise(id, generation.get(parentId) + 1) || changed;
+                });
+                partnersOf.get(id).forEach(partnerId => {
+                    changed = raise(id, generation.get(partnerId)) || changed;
+                });
+                const children = childrenOf.get(id);
+                if (parentsOf(id).length === 0 && children.length > 0) {
+                    changed = raise(id, Math.min(...children.map(childId => generation.get(childId))) - 1) || changed;
+                }
+            });
+            if (!changed) break;
+        }
+        return generation;
+    }
+
+    /**
+     * Computes grid positions for every individual from the `parents` and `mate` links.
+     *
+     * Each person is laid out as a block of columns holding the person, their married-in
+     * partners and all of their descendants. Blocks never share columns, so sibships sit
+     * under their parents' partnership line without crossings. Partners who also have
+     * parents of their own are placed on the right of the block, and their family's block
+     * is laid out immediately to the right of it.
+     * @private
+     */
+    _computeAutoLayout() {
+        // Entries without an id and repeats of an id (reported by validate()) are left out of
+        // the families and lined up on the right
+        const people = new Map();
+        this.data.forEach(person => {
+            if (person.id !== undefined && person.id !== null && person.id !== '' && !people.has(person.id)) {
+                people.set(person.id, person);
+            }
+        });
+        const individuals = [...people.values()];
+        const parentsOf = id => (people.get(id).parents || []).filter(parentId => people.has(parentId));
+        const childrenOf = new Map(individuals.map(person => [person.id, []]));
+        const partnersOf = new Map(individuals.map(person => [person.id, []]));
+        const link = (a, b) => {
+            if (a === b || !partnersOf.has(a) || !partnersOf.has(b)) return;
+            if (!partnersOf.get(a).includes(b)) partnersOf.get(a).push(b);
+            if (!partnersOf.get(b).includes(a)) partnersOf.get(b).push(a);
+        };
+
+        individuals.forEach(person => {
+            this._getMates(person).forEach(mate => link(person.id, mate.id));
+            const parentIds = parentsOf(person.id);
+            parentIds.forEach(parentId => childrenOf.get(parentId).push(person.id));
+            // Co-parents are treated as partners even when no mate link was given
+            if (parentIds.length === 2) link(parentIds[0], parentIds[1]);
+        });
+
+        const generation = this._assignGenerations(people, partnersOf, parentsOf, childrenOf);
+        const claimed = new Set();
+        this.placeholderOffsets = {};
+
+        // A block is a person, the partners they brought into the layout (and those partners' own
+        // other partners), and the blocks of all their unclaimed children
+        const buildBlock = (id) => {
+            claimed.add(id);
+            const members = [id];
+            const claimPartners = (memberId) => {
+                const partners = partnersOf.get(memberId).filter(partnerId => !claimed.has(partnerId));
+                partners.forEach(partnerId => claimed.add(partnerId));
+                partners.forEach(partnerId => {
+                    members.push(partnerId);
+                });
+                return partners.map(partnerId => ({ id: partnerId, partners: claimPartners(partnerId) }));
+            };
+            const partners = claimPartners(id);
+
+            const childIds = [...new Set(members.flatMap(memberId => childrenOf.get(memberId)))]
+                .filter(childId => !claimed.has(childId));
+            childIds.forEach(childId => claimed.add(childId));
+            const children = childIds.map(childId => {
+                claimed.delete(childId);
+                return buildBlock(childId);
+            });
+
+            // Branches that link to another family go last so that family can follow on the right,
+            // and twins are kept together as one unit while doing so
+            const external = members.filter(memberId => memberId !== id && parentsOf(memberId).length > 0);
+            const twinKey = block => {
+                const twin = people.get(block.id).twin;
+                return twin && twin.id ? `twin:${twin.id}` : block.id;
+            };
+            const unitHasExternal = key => children.some(child => twinKey(child) === key && child.hasExternal);
+            children.sort((a, b) => Number(unitHasExternal(twinKey(a))) - Number(unitHasExternal(twinKey(b))));
+            const units = [...new Set(children.map(twinKey))];
+            const orderedChildren = units.flatMap(key => children.filter(child => twinKey(child) === key));
+            children.splice(0, children.length, ...orderedChildren);
+
+            // Children with a single listed parent hang from a placeholder partner, which needs a cell
+            const placeholders = members.filter(memberId =>
+                children.some(child => parentsOf(child.id).length === 1 && parentsOf(child.id)[0] === memberId)
+            );
+
+            return {
+                id,
+                partners,
+                members,
+                external,
+                children,
+                placeholders,
+                hasExternal: external.length > 0 || children.some(child => child.hasExternal),
+                width: 0
+            };
+        };
+
+        const measure = (block) => {
+            block.children.forEach(measure);
+            block.childrenWidth = block.children.reduce((sum, child) => sum + child.width, 0);
+            block.width = Math.max(block.members.length + block.placeholders.length, block.childrenWidth);
+        };
+
+        const snap = value => Math.round(value * 2) / 2;
+        const placeholderSlot = memberId => ({ placeholderFor: memberId });
+        const place = (block, left, isFirstSibling) => {
+            // Married-in partners stand outside the sibship: left of a first sibling, otherwise right.
+            // Further partners alternate sides, a partner's own other partners continue outwards, the
+            // placeholder for an unknown partner sits directly beside its person, and partners from
+            // another family go to the far right next to that family.
+            const outwards = (partner) => [
+                partner.id,
+                ...(block.placeholders.includes(partner.id) ? [placeholderSlot(partner.id)] : []),
+                ...partner.partners.flatMap(outwards)
+            ];
+            const leftSide = [];
+            const rightSide = block.placeholders.includes(block.id) ? [placeholderSlot(block.id)] : [];
+            const isExternal = partner => block.external.includes(partner.id);
+            block.partners.filter(partner => !isExternal(partner)).forEach(partner => {
+                const preferLeft = leftSide.length < rightSide.length || (leftSide.length === rightSide.length && isFirstSibling);
+                (preferLeft ? leftSide : rightSide).push(...outwards(partner));
+            });
+            block.partners.filter(isExternal).forEach(partner => rightSide.push(...outwards(partner)));
+            const row = [...leftSide.reverse(), block.id, ...rightSide];
+
+            // Children are grouped under the partnership they belong to, from left to right
+            const indexOf = id => row.indexOf(id);
+            const rank = (child) => {
+                const parentIds = parentsOf(child.id).filter(parentId => indexOf(parentId) !== -1);
+                if (parentIds.length === 1 && parentsOf(child.id).length === 1) {
+                    const slot = row.findIndex(item => item && item.placeholderFor === parentIds[0]);
+                    return (indexOf(parentIds[0]) + slot) / 2;
+                }
+                return parentIds.reduce((sum, parentId) => sum + indexOf(parentId), 0) / Math.max(parentIds.length, 1);
+            };
+            const children = block.children.slice().sort((a, b) => rank(a) - rank(b));
+
+            let childLeft = left + (block.width - block.childrenWidth) / 2;
+            const childXs = children.map((child, i) => {
+                place(child, childLeft, i === 0 && children.length > 1);
+                childLeft += child.width;
+                return people.get(child.id).pos.x;
+            });
+
+            const center = childXs.length > 0
+                ? (Math.min(...childXs) + Math.max(...childXs)) / 2
+                : left + (block.width - 1) / 2;
+            const start = Math.min(Math.max(snap(center - (row.length - 1) / 2), left), left + block.width - row.length);
+            row.forEach((item, i) => {
+                if (typeof item === 'string') {
+                    people.get(item).pos = { x: start + i, y: generation.get(item) };
+                }
+            });
+            row.forEach((item, i) => {
+                if (typeof item !== 'string') {
+                    this.placeholderOffsets[item.placeholderFor] = i - indexOf(item.placeholderFor);
+                }
+            });
+        };
+
+        const rootOf = (id) => {
+            const seen = new Set();
+            while (parentsOf(id).length > 0 && !seen.has(id)) {
+                seen.add(id);
+                id = parentsOf(id)[0];
+            }
+            return id;
+        };
+
+        // Founders whose partners are all founders start a family; founders who married into a family are claimed by it
+        const isRoot = id => parentsOf(id).length === 0 && partnersOf.get(id).every(partnerId => parentsOf(partnerId).length === 0);
+        const queue = individuals.map(person => person.id).filter(isRoot);
+        // Anything left over (e.g. individuals caught in an ancestry cycle) is placed last
+        queue.push(...individuals.map(person => person.id));
+
+        let left = 0;
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (claimed.has(id)) continue;
+            const block = buildBlock(id);
+            measure(block);
+            place(block, left, false);
+            left += block.width;
+
+            // Lay out the families of partners who married into this block next to it
+            const externals = [];
+            const collect = (b) => {
+                externals.push(...b.external);
+                b.children.forEach(collect);
+            };
+            collect(block);
+            queue.unshift(...externals.map(rootOf));
+        }
+
+        this.data.filter(person => people.get(person.id) !== person).forEach(person => {
+            const placed = people.get(person.id);
+            person.pos = { x: left++, y: placed ? placed.pos.y : 0 };
+        });
+
+        const minGeneration = Math.min(...this.data.map(person => person.pos.y));
+        this.data.forEach(person => {
+            person.pos.y -= minGeneration;
+        });
+    }
+
+    /**
+     * Swaps siblings out of the way of partnership lines and keeps twins adjacent. The
+     * swaps are part of the change being recorded, if any; on their own they are not
+     * undoable, since the next render would make them again.
+     * @private
+     */
+    _optimizeLayout() {
+        if (!this.config.autoLayoutOptimize) return;
+
+        // Only individuals in the same row can be in the way, and only siblings are swapped
+        const rows = new Map();
+        const sibships = new Map();
+        this.data.forEach(person => {
+            if (!rows.has(person.pos.y)) rows.set(person.pos.y, []);
+            rows.get(person.pos.y).push(person);
+            sibships.set(person, person.parents ? JSON.stringify(person.parents.slice().sort()) : null);
+        });
+
+        this.data.forEach(person => {
+            if (sibships.get(person) === null) return;
+            this._getMates(person).forEach(mate => {
+                const partner = this._getPerson(mate.id);
+                if (!partner) return;
+
+                const lineStartX = Math.min(person.pos.x, partner.pos.x);
+                const lineEndX = Math.max(person.pos.x, partner.pos.x);
+
+                rows.get(person.pos.y).forEach(potentialObstacle => {
+                    if (potentialObstacle.id !== person.id && potentialObstacle.id !== partner.id) {
+                        if (potentialObstacle.pos.x > lineStartX && potentialObstacle.pos.x < lineEndX) {
+                            const areSiblings = sibships.get(person) === sibships.get(potentialObstacle);
+                            
+                            if (areSiblings) {
+                                const personOriginalX = person.pos.x;
+                                person.pos.x = potentialObstacle.pos.x;
+                                potentialObstacle.pos.x = personOriginalX;
+                            }
+                        }
+                    }
+                });
+            });
+        });
+
+        // Twins must stay adjacent whatever the swaps above did
+        this._keepTwinsAdjacent();
+    }
+
+    /**
+     * Moves siblings that sit between the members of a twin set to the outside of the
+     * set, so twins always stay adjacent and can branch from a single point.
+     * @private
+     */
+    _keepTwinsAdjacent() {
+        const sibshipKey = person => (person.parents || []).slice().sort().join('-');
+        const twinSets = {};
+        this.data.forEach(person => {
+            if (person.twin && person.twin.id) {
+                const key = `${sibshipKey(person)}|${person.twin.id}`;
+                (twinSets[key] = twinSets[key] || []).push(person);
+            }
+        });
+
+        Object.values(twinSets).forEach(twins => {
+            if (twins.length < 2) return;
+            const row = twins[0].pos.y;
+            const xs = twins.map(twin => twin.pos.x);
+            const intruders = this.data.filter(person =>
+                !twins.includes(person) &&
+                person.pos.y === row &&
+                person.pos.x > Math.min(...xs) && person.pos.x < Math.max(...xs) &&
+                sibshipKey(person) === sibshipKey(twins[0])
+            );
+            if (intruders.length === 0) return;
+
+            // Reuse the same cells: twins take the leftmost ones, the intruding siblings the rest
+            const members = [...twins, ...intruders].sort((a, b) => a.pos.x - b.pos.x);
+            const slots = members.map(member => member.pos.x);
+            const ordered = [...twins.sort((a, b) => a.pos.x - b.pos.x), ...intruders.sort((a, b) => a.pos.x - b.pos.x)];
+            ordered.forEach((member, i) => {
+                member.pos.x = slots[i];
+            });
+        });
+    }
+
+    /**
+     * Pixel centre and half extents of an individual's symbol.
+     * @private
+     */
+    _getNodeCoord(person) {
+        const { x, y } = this._getPixelCoords(person.pos.x, person.pos.y);
+        const { halfWidth, halfHeight } = this._getShapeExtent(person);
+        return { x, y, halfWidth, halfHeight };
+    }
+
+    /**
+     * Returns the standard (NSGC) symbol used for an individual: a small triangle for a
+     * pregnancy loss, a square for males, a circle for females and a diamond when the
+     * sex is unknown or unspecified.
+     * @private
+     */
+    _getShape(person) {
+        if (person.pregnancyLoss) return 'triangle';
+        if (person.sex === 'M') return 'square';
+        if (person.sex === 'F') return 'circle';
+        return 'diamond';
+    }
+
+    /**
+     * Half of the width and height of the symbol drawn for an individual.
+     * @private
+     */
+    _getShapeExtent(person) {
+        if (this._getShape(person) === 'triangle') {
+            const size = this.config.nodeWidth * this.config.pregnancyLossScale;
+            return { halfWidth: size / 2, halfHeight: size / 2 };
+        }
+        return { halfWidth: this.config.nodeWidth / 2, halfHeight: this.config.nodeHeight / 2 };
+    }
+
+    /**
+     * Adds the outline of an individual's symbol to the current path.
+     * @private
+     */
+    _traceShape(person, x, y) {
+        const { halfWidth, halfHeight } = this._getShapeExtent(person);
+        switch (this._getShape(person)) {
+            case 'square':
+                this.ctx.rect(x - halfWidth, y - halfHeight, halfWidth * 2, halfHeight * 2);
+                break;
+            case 'circle':
+                this.ctx.moveTo(x + halfWidth, y);
+                this.ctx.arc(x, y, halfWidth, 0, 2 * Math.PI);
+                break;
+            case 'diamond':
+                this.ctx.moveTo(x, y - halfHeight);
+                this.ctx.lineTo(x + halfWidth, y);
+                this.ctx.lineTo(x, y + halfHeight);
+                this.ctx.lineTo(x - halfWidth, y);
+                this.ctx.closePath();
+                break;
+            case 'triangle':
+                this.ctx.moveTo(x, y - halfHeight);
+                this.ctx.lineTo(x + halfWidth, y + halfHeight);
+                this.ctx.lineTo(x - halfWidth, y + halfHeight);
+                this.ctx.closePath();
+                break;
+        }
+    }
+
+    /**
+     * Whether an offset from the centre of an individual's symbol lies inside the symbol.
+     * @private
+     */
+    _isInsideShape(person, dx, dy) {
+        const { halfWidth, halfHeight } = this._getShapeExtent(person);
+        switch (this._getShape(person)) {
+            case 'circle':
+                return Math.sqrt(dx * dx + dy * dy) <= halfWidth;
+            case 'diamond':
+                return Math.abs(dx) / halfWidth + Math.abs(dy) / halfHeight <= 1;
+            case 'triangle':
+                return Math.abs(dy) <= halfHeight && Math.abs(dx) <= (dy + halfHeight) / 2 * (halfWidth / halfHeight);
+            default:
+                return Math.abs(dx) <= halfWidth && Math.abs(dy) <= halfHeight;
+        }
+    }
+
+    /**
+     * Builds the annotation lines printed under an individual's symbol.
+     * @private
+     */
+    _getAnnotations(person) {
+        const lines = [];
+        if (person.pregnancyLoss) {
+            const abbreviation = { miscarriage: 'SAB', stillbirth: 'SB', termination: 'TOP' }[person.pregnancyLoss];
+            lines.push([abbreviation, person.gestationalAge].filter(Boolean).join(' '));
+        }
+        if (person.ageAtDeath !== undefined && person.ageAtDeath !== null) {
+            lines.push(`d. ${person.ageAtDeath}${typeof person.ageAtDeath === 'number' ? 'y' : ''}`);
+        } else if (person.deceased && this.config.showDeceasedLabel) {
+            lines.push('d.');
+        }
+        if (this.config.showEvaluations) {
+            this._getGenotypes(person).forEach(genotype => {
+                const result = { positive: 'E+', negative: 'E\u2212' }[genotype.test];
+                if (!result) return;
+                const zygosity = { heterozygous: 'het', homozygous: 'hom', hemizygous: 'hemi' }[genotype.zygosity];
+                lines.push([result, genotype.variant, zygosity && `(${zygosity})`].filter(Boolean).join(' '));
+            });
+        }
+        const risk = this.config.showRiskLabels && this.riskResults && this.riskResults[person.id];
+        if (risk) {
+            const percent = value => `${Math.round(value * 1000) / 10}%`;
+            lines.push(`C ${percent(risk.posterior.carrier)} / A ${percent(risk.posterior.affected)}`);
+        }
+        return lines;
+    }
+
+    _drawNode(person) {
+        const coord = this._getNodeCoord(person);
+        this.nodeCoords[person.id] = coord;
+        this._drawSymbol(person, coord);
+
+        const label = this._getLabelLines(person).join('\n');
+        if (label) {
+            this._drawText(label, coord.x, coord.y + coord.halfHeight + 5);
+        }
+    }
+
+    /**
+     * Draws an individual's symbol with its shading, markers and proband arrow, without
+     * the label. Also used for the legend samples of the PDF export.
+     * @private
+     */
+    _drawSymbol(person, coord) {
+        const { x, y, halfWidth, halfHeight } = coord;
+
+        // NEW: Add visual feedback for dragged node
+        if (this.dragTarget && this.dragTarget.id === person.id) {
+            this.ctx.shadowColor = 'rgba(0, 123, 255, 0.5)';
+            this.ctx.shadowBlur = 10;
+        }
+
+        if (person.style && person.style.fillColor) {
+            this.ctx.fillStyle = person.style.fillColor;
+            this.ctx.beginPath();
+            this._traceShape(person, x, y);
+            this.ctx.fill();
+        }
+
+        const carrierStatus = this._getCarrierStatus(person);
+        if (person.phenotypes && person.phenotypes.length > 0) {
+            this._drawPhenotypeFill(person, x, y);
+        } else if (carrierStatus && this.config.inheritanceMode === 'AR') {
+            this._drawHalfShading(person, x, y);
+        }
+
+        const style = person.style || {};
+        if (style.halo) {
+            this._drawHalo(person, x, y, style.halo, 10);
+        }
+        if (!this._offscreen && this.selectedIds.has(person.id)) {
+            this._drawHalo(person, x, y, 'rgba(0, 123, 255, 0.35)', 8);
+        }
+        if (this.config.highlightInvalid && this.validationIssues.some(issue => issue.ids.includes(person.id))) {
+            this._drawHalo(person, x, y, 'rgba(220, 38, 38, 0.6)', 6);
+        }
+
+        this.ctx.beginPath();
+        this.ctx.strokeStyle = style.borderColor || this.config.lineColor;
+        this.ctx.lineWidth = style.lineWidth || this.config.lineWidth;
+        if (style.dashed) {
+            this.ctx.setLineDash(Array.isArray(style.dashed) ? style.dashed : [6, 4]);
+        }
+        this._traceShape(person, x, y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        // Reset shadow
+        this.ctx.shadowColor = 'transparent';
+        this.ctx.shadowBlur = 0;
+
+        // Keyboard focus ring, on screen only
+        if (!this._offscreen && this.focusedId === person.id) {
+            const gap = 6;
+            this.ctx.save();
+            this.ctx.strokeStyle = 'rgb(0, 123, 255)';
+            this.ctx.setLineDash([4, 3]);
+            this.ctx.strokeRect(x - halfWidth - gap, y - halfHeight - gap, (halfWidth + gap) * 2, (halfHeight + gap) * 2);
+            this.ctx.restore();
+        }
+
+        // Carriers are marked with a central dot unless the recessive half-shading is used
+        if (carrierStatus && this.config.inheritanceMode !== 'AR' && !(person.phenotypes && person.phenotypes.length > 0)) {
+            this.ctx.fillStyle = this.config.lineColor;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, Math.max(3, halfWidth / 5), 0, 2 * Math.PI);
+            this.ctx.fill();
+        }
+
+        if (person.pregnancy && !person.pregnancyLoss) {
+            this.ctx.fillStyle = this.config.lineColor;
+            this.ctx.font = this.config.font;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText('P', x, y);
+            this.ctx.textBaseline = 'alphabetic';
+        }
+
+        // Deceased individuals and terminated pregnancies are struck through from bottom-left to top-right
+        if (person.deceased || person.pregnancyLoss === 'termination') {
+            const overhang = 5;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x - halfWidth - overhang, y + halfHeight + overhang);
+            this.ctx.lineTo(x + halfWidth + overhang, y - halfHeight - overhang);
+            this.ctx.stroke();
+        }
+
+        if (person.isProband) {
+            const arrowX = x - halfWidth - 5;
+            this.ctx.beginPath();
+            this.ctx.moveTo(arrowX - this.config.probandArrowSize, y);
+            this.ctx.lineTo(arrowX, y);
+            this.ctx.moveTo(arrowX, y);
+            this.ctx.lineTo(arrowX - 5, y - 5);
+            this.ctx.moveTo(arrowX, y);
+            this.ctx.lineTo(arrowX - 5, y + 5);
+            this.ctx.stroke();
+        }
+    }
+
+    /**
+     * The lines printed under an individual: their number, the configured label fields
+     * (or the name as written) and the nomenclature annotations.
+     * @private
+     */
+    _getLabelLines(person) {
+        const lines = [];
+        if (this.config.showIndividualNumbers) {
+            lines.push(this.getIndividualNumbers()[person.id]);
+        }
+        if (this.config.labelFields) {
+            this.config.labelFields.forEach(field => lines.push(this._formatLabelField(person, field)));
+        } else {
+            lines.push(person.name);
+        }
+        lines.push(...this._getAnnotations(person));
+        const text = lines.filter(line => line !== undefined && line !== null && line !== '').join('\n');
+        return text ? text.split('\n') : [];
+    }
+
+    /**
+     * Formats one entry of `config.labelFields`. Known fields are 'name', 'age' (a number
+     * gets a "y"), 'birthYear' ("b. 1970"), 'deathYear' ("d. 2010") and 'diagnosis', which
+     * lists `person.diagnoses` entries of the form `{ phenotype, ageAtOnset }` as
+     * "Breast cancer dx 42y". Other strings print that field of the individual; a function
+     * is called with the individual and returns the text.
+     * @private
+     */
+    _formatLabelField(person, field) {
+        if (typeof field === 'function') return field(person);
+        const withUnit = value => (typeof value === 'number' ? `${value}y` : value);
+        switch (field) {
+            case 'age':
+                return person.age === undefined ? null : withUnit(person.age);
+            case 'birthYear':
+                return person.birthYear === undefined ? null : `b. ${person.birthYear}`;
+            case 'deathYear':
+                return person.deathYear === undefined ? null : `d. ${person.deathYear}`;
+            case 'diagnosis':
+                return (person.diagnoses || []).map(diagnosis => {
+                    const entry = typeof diagnosis === 'string' ? { phenotype: diagnosis } : diagnosis;
+                    const phenotype = this.config.phenotypes[entry.phenotype];
+                    const description = phenotype ? phenotype.description : entry.phenotype;
+                    return entry.ageAtOnset === undefined ? description : `${description} dx ${withUnit(entry.ageAtOnset)}`;
+                }).join('\n');
+            default:
+                return person[field] === undefined || person[field] === null ? null : String(person[field]);
+        }
+    }
+
+    /**
+     * Clinical identifiers of every individual: the generation in Roman numerals and the
+     * position within the generation from left to right, e.g. { marc: 'III-1' }.
+     * @returns {Object<string, string>}
+     */
+    getIndividualNumbers() {
+        const numbers = {};
+        const rows = [...new Set(this.data.map(person => person.pos.y))].sort((a, b) => a - b);
+        rows.forEach((y, generation) => {
+            this.data
+                .map((person, index) => ({ person, index }))
+                .filter(({ person }) => person.pos.y === y)
+                .sort((a, b) => a.person.pos.x - b.person.pos.x || a.index - b.index)
+                .forEach(({ person }, i) => {
+                    numbers[person.id] = `${this._toRoman(generation + 1)}-${i + 1}`;
+                });
+        });
+        return numbers;
+    }
+
+    /**
+     * @private
+     */
+    _getHeaderLines() {
+        const header = this.config.header;
+        if (!header) return [];
+        return [
+            header.title,
+            header.date && `Date: ${header.date}`,
+            header.informant && `Informant: ${header.informant}`
+        ].filter(Boolean);
+    }
+
+    /**
+     * Draws the header lines and the generation numerals at the left margin.
+     * @private
+     */
+    _drawMarginText() {
+        const left = this.config.padding.left - this.config.nodeWidth / 2;
+        this.ctx.fillStyle = this.config.lineColor;
+        this.ctx.textAlign = 'left';
+        this._getHeaderLines().forEach((line, i) => {
+            this.ctx.font = i === 0 && this.config.header.title ? `bold ${this.config.font}` : this.config.font;
+            this.ctx.fillText(line, left, this.config.padding.top - this.config.nodeHeight / 2 + 12 + i * 16);
+        });
+
+        if (this.config.showGenerationLabels) {
+            this.ctx.font = `bold ${this.config.font}`;
+            this.ctx.textBaseline = 'middle';
+            [...new Set(this.data.map(person => person.pos.y))].sort((a, b) => a - b).forEach((y, generation) => {
+                this.ctx.fillText(this._toRoman(generation + 1), left, this._getPixelCoords(0, y).y);
+            });
+            this.ctx.textBaseline = 'alphabetic';
+        }
+    }
+    
+    /**
+     * Strokes a wide translucent outline around an individual's symbol.
+     * @private
+     */
+    _drawHalo(person, x, y, color, extraWidth) {
+        this.ctx.save();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = this.config.lineWidth + extraWidth;
+        this.ctx.beginPath();
+        this._traceShape(person, x, y);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    _drawPhenotypeFill(person, x, y) {
+        const phenotypes = person.phenotypes;
+        const numPhenotypes = phenotypes.length;
+        if (numPhenotypes === 0) return;
+
+        const shape = this._getShape(person);
+        const { halfWidth, halfHeight } = this._getShapeExtent(person);
+        const angleStep = (2 * Math.PI) / numPhenotypes;
+        const barWidth = (halfWidth * 2) / numPhenotypes;
+
+        phenotypes.forEach((phenoId, i) => {
+            const style = this.config.phenotypes[phenoId] || this.config.phenotypes['default_affected'];
+            if (!style.facecolor) return;
+
+            // Each phenotype gets its own segment of the symbol, which its pattern is clipped to
+            this.ctx.save();
+            this.ctx.beginPath();
+            this._traceShape(person, x, y);
+            this.ctx.clip();
+            this.ctx.beginPath();
+            if (shape === 'circle') { // Pie chart for females
+                this.ctx.moveTo(x, y);
+                this.ctx.arc(x, y, halfWidth, angleStep * i, angleStep * (i + 1));
+                this.ctx.closePath();
+            } else { // Vertical bars for every other shape
+                this.ctx.rect(x - halfWidth + i * barWidth, y - halfHeight, barWidth, halfHeight * 2);
+            }
+            this.ctx.clip();
+            this._fillPattern(style, x - halfWidth, y - halfHeight, halfWidth * 2, halfHeight * 2);
+            this.ctx.restore();
+        });
+    }
+
+    /**
+     * Fills a box with a phenotype's colour in its fillPattern. Patterns are drawn with
+     * plain strokes and fills so they work on every backend; callers clip to the symbol.
+     * @private
+     */
+    _fillPattern(style, left, top, width, height) {
+        const spacing = 6;
+        this.ctx.save();
+        this.ctx.fillStyle = style.facecolor;
+        this.ctx.strokeStyle = style.facecolor;
+        this.ctx.lineWidth = 1.5;
+        switch (style.fillPattern) {
+            case 'hatch':
+            case 'crosshatch':
+                this.ctx.beginPath();
+                for (let offset = -height; offset <= width; offset += spacing) {
+                    this.ctx.moveTo(left + offset, top + height);
+                    this.ctx.lineTo(left + offset + height, top);
+                    if (style.fillPattern === 'crosshatch') {
+                        this.ctx.moveTo(left + offset, top);
+                        this.ctx.lineTo(left + offset + height, top + height);
+                    }
+                }
+                this.ctx.stroke();
+                break;
+            case 'dots':
+                this.ctx.beginPath();
+                for (let dy = spacing / 2; dy < height; dy += spacing) {
+                    for (let dx = spacing / 2; dx < width; dx += spacing) {
+                        this.ctx.moveTo(left + dx + 1.5, top + dy);
+                        this.ctx.arc(left + dx, top + dy, 1.5, 0, 2 * Math.PI);
+                    }
+                }
+                this.ctx.fill();
+                break;
+            case 'quadrant': {
+                // 'top-left' (default), 'top-right', 'bottom-left' or 'bottom-right'
+                const quadrant = style.quadrant || 'top-left';
+                const quadrantX = quadrant.endsWith('right') ? left + width / 2 : left;
+                const quadrantY = quadrant.startsWith('bottom') ? top + height / 2 : top;
+                this.ctx.fillRect(quadrantX, quadrantY, width / 2, height / 2);
+                break;
+            }
+            default:
+                this.ctx.fillRect(left, top, width, height);
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * Shades the left half of a heterozygous carrier's symbol, the traditional
+     * autosomal recessive convention.
+     * @private
+     */
+    _drawHalfShading(person, x, y) {
+        const { halfWidth, halfHeight } = this._getShapeExtent(person);
+        this.ctx.save();
+        this.ctx.beginPath();
+        this._traceShape(person, x, y);
+        this.ctx.clip();
+        this.ctx.fillStyle = this.config.phenotypes['default_affected'].facecolor;
+        this.ctx.fillRect(x - halfWidth, y - halfHeight, halfWidth, halfHeight * 2);
+        this.ctx.restore();
+    }
+
+    /**
+     * Normalises the `genotype` field into a list of `{ variant, zygosity, test }` results.
+     * `zygosity` is 'heterozygous', 'homozygous' or 'hemizygous'; `test` is 'positive' or
+     * 'negative' for individuals who were evaluated.
+     * @private
+     */
+    _getGenotypes(person) {
+        if (!person.genotype) return [];
+        return Array.isArray(person.genotype) ? person.genotype : [person.genotype];
+    }
+
+    /**
+     * Whether an individual is an unaffected carrier: 'obligate' or 'carrier' when marked
+     * as such, or 'carrier' for a heterozygous genotype that would not be expressed under
+     * the configured recessive inheritance mode. Null otherwise.
+     * @private
+     */
+    _getCarrierStatus(person) {
+        if (person.obligateCarrier) return 'obligate';
+        if (person.carrier) return 'carrier';
+        const mode = this.config.inheritanceMode;
+        const recessive = mode === 'AR' || (mode === 'XLR' && person.sex === 'F');
+        const heterozygous = this._getGenotypes(person).some(genotype => genotype.zygosity === 'heterozygous' && genotype.test !== 'negative');
+        const affected = person.phenotypes && person.phenotypes.length > 0;
+        return recessive && heterozygous && !affected ? 'carrier' : null;
+    }
+
+    _drawText(text, x, y) {
+        this.ctx.fillStyle = this.config.lineColor;
+        this.ctx.font = this.config.font;
+        this.ctx.textAlign = 'center';
+        const lines = text.split('\n');
+        lines.forEach((line, i) => {
+            this.ctx.fillText(line, x, y + 10 + (i * 14));
+        });
+    }
+
+    /**
+     * Normalises the `mate` field into a list of partners. `mate` may be a single id, or an
+     * array of ids and `{ id, status, consanguineous, style }` objects for people with several
+     * successive partners. `status` is 'separated' or 'divorced'; `consanguineous` overrides
+     * the detection from shared ancestry; `style` ({ color, width, dash }) restyles the line.
+     * @private
+     */
+    _getMates(person) {
+        if (!person.mate) return [];
+        const mates = Array.isArray(person.mate) ? person.mate : [person.mate];
+        return mates
+            .filter(Boolean)
+            .map(mate => (typeof mate === 'string' ? { id: mate } : Object.assign({}, mate)));
+    }
+
+    /**
+     * Looks up an individual by id.
+     * @private
+     */
+    _getPerson(id) {
+        return this._getGraph().byId.get(id);
+    }
+
+    /**
+     * The listed parents of an individual that actually exist in the pedigree.
+     * @private
+     */
+    _getParentIds(person) {
+        return (person.parents || []).filter(parentId => parentId && this._getPerson(parentId));
+    }
+
+    /**
+     * The relationship index behind the lookups and the query API: individuals by id and
+     * the children of each, plus the partnerships, generation depths and kinship
+     * coefficients once asked for. It is rebuilt when `data` is replaced or changes size,
+     * after every edit and on each render; during an edit it is not kept at all.
+     * @private
+     */
+    _getGraph() {
+        const graph = this._graph;
+        if (graph && !this._mutating && graph.data === this.data && graph.size === this.data.length) {
+            return graph;
+        }
+        const byId = new Map();
+        const children = new Map();
+        this.data.forEach(person => {
+            if (byId.has(person.id)) return;
+            byId.set(person.id, person);
+            children.set(person.id, []);
+        });
+        this.data.forEach(person => {
+            new Set(person.parents || []).forEach(parentId => {
+                if (children.has(parentId)) children.get(parentId).push(person.id);
+            });
+        });
+        this._graph = {
+            data: this.data,
+            size: this.data.length,
+            byId,
+            children,
+            partnerships: null,
+            partnershipsByPerson: null,
+            depths: new Map(),
+            kinship: new Map()
+        };
+        return this._graph;
+    }
+
+    /**
+     * @private
+     */
+    _invalidateGraph() {
+        this._graph = null;
+    }
+
+    /**
+     * Ids of an individual's ancestors (or descendants, going down) mapped to the number
+     * of generations between them, counting the individual itself as 0.
+     * @private
+     */
+    _getLineage(id, direction, maxDepth = Infinity) {
+        const depths = new Map([[id, 0]]);
+        let generation = [id];
+        for (let depth = 1; depth <= maxDepth && generation.length > 0; depth++) {
+            const next = [];
+            generation.forEach(currentId => {
+                const relatives = direction === 'up'
+                    ? this._getParentIds(this._getPerson(currentId))
+                    : this._getGraph().children.get(currentId);
+                relatives.forEach(relativeId => {
+                    if (!depths.has(relativeId)) {
+                        depths.set(relativeId, depth);
+                        next.push(relativeId);
+                    }
+                });
+            });
+            generation = next;
+        }
+        return depths;
+    }
+
+    /**
+     * Number of generations between an individual and their most distant founder ancestor.
+     * An ancestor always has a smaller depth than its descendants.
+     * @private
+     */
+    _getDepth(id, visiting = new Set()) {
+        const depths = this._getGraph().depths;
+        if (depths.has(id)) return depths.get(id);
+        if (visiting.has(id)) {
+            throw new Error(`Individual "${id}" is their own ancestor.`);
+        }
+        visiting.add(id);
+        const parentDepths = this._getParentIds(this._getPerson(id)).map(parentId => this._getDepth(parentId, visiting));
+        visiting.delete(id);
+        const depth = parentDepths.length > 0 ? Math.max(...parentDepths) + 1 : 0;
+        depths.set(id, depth);
+        return depth;
+    }
+
+    /**
+     * Kinship coefficient: the probability that alleles drawn at random from each of the
+     * two individuals are identical by descent. Founders and unknown parents are taken as
+     * unrelated and not inbred.
+     * @private
+     */
+    _getKinship(a, b) {
+        const memo = this._getGraph().kinship;
+        const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+        if (memo.has(key)) return memo.get(key);
+
+        let kinship;
+        if (a === b) {
+            const parentIds = this._getParentIds(this._getPerson(a));
+            kinship = (1 + (parentIds.length === 2 ? this._getKinship(parentIds[0], parentIds[1]) : 0)) / 2;
+        } else if (this._areIdenticalTwins(a, b)) {
+            kinship = this._getKinship(a, a);
+        } else {
+            // Go up through the parents of whichever of the two cannot be the other's ancestor
+            const [younger, other] = this._getDepth(a) >= this._getDepth(b) ? [a, b] : [b, a];
+            kinship = this._getParentIds(this._getPerson(younger))
+                .reduce((sum, parentId) => sum + this._getKinship(parentId, other), 0) / 2;
+        }
+        memo.set(key, kinship);
+        return kinship;
+    }
+
+    /**
+     * @private
+     */
+    _areIdenticalTwins(a, b) {
+        const first = this._getPerson(a).twin;
+        const second = this._getPerson(b).twin;
+        return Boolean(first && second && first.id && first.id === second.id &&
+            first.zygosity === 'MZ' && second.zygosity === 'MZ');
+    }
+
+    /**
+     * All ancestors of an individual, following the `parents` links.
+     * @private
+     */
+    _getAncestorIds(id) {
+        const ancestors = new Set();
+        const stack = [id];
+        while (stack.length > 0) {
+            const person = this._getPerson(stack.pop());
+            if (!person) continue;
+            this._getParentIds(person).forEach(parentId => {
+                if (!ancestors.has(parentId)) {
+                    ancestors.add(parentId);
+                    stack.push(parentId);
+                }
+            });
+        }
+        return ancestors;
+    }
+
+    /**
+     * Whether two individuals share ancestry (or one descends from the other).
+     * @private
+     */
+    _areBloodRelatives(a, b) {
+        const ancestorsA = this._getAncestorIds(a);
+        ancestorsA.add(a);
+        const ancestorsB = this._getAncestorIds(b);
+        ancestorsB.add(b);
+        return [...ancestorsA].some(id => ancestorsB.has(id));
+    }
+
+    /**
+     * Every partnership in the pedigree, keyed by the sorted ids of the couple.
+     * Partnerships declared on either side are merged, and the parents of a common child
+     * form a partnership even without a `mate` link. Children with a single listed parent
+     * belong to a partnership between that parent and a placeholder, keyed `<id>-?`.
+     * @private
+     */
+    _getPartnerships() {
+        const graph = this._getGraph();
+        if (!graph.partnerships) {
+            graph.partnerships = this._buildPartnerships();
+        }
+        return graph.partnerships;
+    }
+
+    /**
+     * The partnerships that any of the given individuals is a partner or child in.
+     * @private
+     */
+    _getPartnershipsInvolving(ids) {
+        const graph = this._getGraph();
+        if (!graph.partnershipsByPerson) {
+            graph.partnershipsByPerson = new Map();
+            this._getPartnerships().forEach(partnership => {
+                partnership.ids.concat(partnership.children).forEach(id => {
+                    if (!graph.partnershipsByPerson.has(id)) graph.partnershipsByPerson.set(id, []);
+                    graph.partnershipsByPerson.get(id).push(partnership);
+                });
+            });
+        }
+        const partnerships = new Set();
+        ids.forEach(id => (graph.partnershipsByPerson.get(id) || []).forEach(partnership => partnerships.add(partnership)));
+        return partnerships;
+    }
+
+    /**
+     * @private
+     */
+    _buildPartnerships() {
+        const partnerships = new Map();
+        const getPartnership = (a, b) => {
+            const ids = b === null ? [a] : [a, b].sort();
+            const key = b === null ? `${a}-?` : ids.join('-');
+            if (!partnerships.has(key)) {
+                partnerships.set(key, { key, ids, children: [], placeholder: b === null });
+            }
+            return partnerships.get(key);
+        };
+
+        this.data.forEach(person => {
+            this._getMates(person).forEach(mate => {
+                if (mate.id === person.id || !this._getPerson(mate.id)) return;
+                const partnership = getPartnership(person.id, mate.id);
+                if (mate.status) partnership.status = mate.status;
+                if (mate.consanguineous !== undefined) partnership.consanguineous = mate.consanguineous;
+                if (mate.style) partnership.style = mate.style;
+            });
+        });
+
+        this.data.forEach(person => {
+            const parentIds = this._getParentIds(person);
+            if (parentIds.length === 2) {
+                getPartnership(parentIds[0], parentIds[1]).children.push(person.id);
+            } else if (parentIds.length === 1) {
+                getPartnership(parentIds[0], null).children.push(person.id);
+            }
+        });
+
+        partnerships.forEach(partnership => {
+            if (partnership.consanguineous === undefined) {
+                partnership.consanguineous = !partnership.placeholder &&
+                    this.config.detectConsanguinity &&
+                    this._areBloodRelatives(partnership.ids[0], partnership.ids[1]);
+            }
+        });
+        return partnerships;
+    }
+
+    /**
+     * Pixel position of the placeholder partner drawn for the unknown parent of an
+     * individual's single-parent children: the cell the layout engine reserved for it,
+     * otherwise the nearest free cell beside the parent.
+     * @private
+     */
+    _getPlaceholderCoords(parent) {
+        const isFree = x => !this.data.some(p => p.pos.y === parent.pos.y && Math.abs(p.pos.x - x) < 0.5);
+        const reserved = this.placeholderOffsets && this.placeholderOffsets[parent.id];
+        const offsets = reserved !== undefined ? [reserved] : [];
+        for (let distance = 1; distance <= this.data.length; distance++) {
+            offsets.push(distance, -distance);
+        }
+        const offset = offsets.find(dx => isFree(parent.pos.x + dx));
+        const { x, y } = this._getPixelCoords(parent.pos.x + (offset === undefined ? 1 : offset), parent.pos.y);
+        const { halfWidth, halfHeight } = this._getShapeExtent({});
+        return { x, y, halfWidth, halfHeight };
+    }
+
+    /**
+     * Draws the dashed diamond standing in for an unknown parent.
+     * @private
+     */
+    _drawPlaceholder(coord) {
+        this.ctx.save();
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.beginPath();
+        this._traceShape({}, coord.x, coord.y);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Draws the line between two partners: doubled for consanguineous couples and crossed
+     * by one (separated) or two (divorced) short strokes.
+     * @private
+     */
+    _drawPartnershipLine(partnership, p1, p2) {
+        const leftNode = p1.x < p2.x ? p1 : p2;
+        const rightNode = p1.x < p2.x ? p2 : p1;
+        const startX = leftNode.x + leftNode.halfWidth;
+        const endX = rightNode.x - rightNode.halfWidth;
+        const offsets = partnership.consanguineous ? [-3, 3] : [0];
+
+        offsets.forEach(offset => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(startX, leftNode.y + offset);
+            this.ctx.lineTo(endX, rightNode.y + offset);
+            this.ctx.stroke();
+        });
+
+        const strokes = { separated: 1, divorced: 2 }[partnership.status] || 0;
+        const midX = (startX + endX) / 2;
+        const midY = (leftNode.y + rightNode.y) / 2;
+        for (let i = 0; i < strokes; i++) {
+            const x = midX + (i - (strokes - 1) / 2) * 6;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x - 4, midY + 8);
+            this.ctx.lineTo(x + 4, midY - 8);
+            this.ctx.stroke();
+        }
+    }
+
+    /**
+     * Sets the stroke for a connection type from `config.connectionStyles`, with an optional
+     * override for this one connection.
+     * @private
+     */
+    _setLineStyle(type, override) {
+        const style = Object.assign({}, this.config.connectionStyles[type], override);
+        this.ctx.strokeStyle = style.color || this.config.lineColor;
+        this.ctx.lineWidth = style.width || this.config.lineWidth;
+        this.ctx.setLineDash(style.dash || []);
+    }
+
+    _drawConnections(filter = null, area = null) {
+        this._setLineStyle('partnership');
+        const involved = partnership => partnership.ids.concat(partnership.children).some(id => filter.ids.has(id));
+        const lineage = this._lineage;
+        const inLineage = id => !lineage || lineage.has(id);
+        const setAlpha = highlighted => {
+            this.ctx.globalAlpha = highlighted ? 1 : this.config.dimOpacity;
+        };
+
+        const partnerships = filter && filter.include ? this._getPartnershipsInvolving(filter.ids) : this._getPartnerships();
+        partnerships.forEach(partnership => {
+            if (filter && involved(partnership) !== filter.include) return;
+            const p1 = this.nodeCoords[partnership.ids[0]];
+            if (!p1) return;
+            let p2 = this.nodeCoords[partnership.ids[1]];
+            if (partnership.placeholder) {
+                p2 = this._getPlaceholderCoords(this._getPerson(partnership.ids[0]));
+            }
+            if (!p2) return;
+            const childrenIds = partnership.children.filter(id => this.nodeCoords[id]);
+            if (area) {
+                const xs = [p1.x, p2.x, ...childrenIds.map(id => this.nodeCoords[id].x)];
+                const ys = [p1.y, p2.y, ...childrenIds.map(id => this.nodeCoords[id].y)];
+                if (Math.max(...xs) < area.left || Math.min(...xs) > area.right ||
+                    Math.max(...ys) < area.top || Math.min(...ys) > area.bottom) return;
+            }
+            if (partnership.placeholder) {
+                this._drawPlaceholder(p2);
+            }
+
+            // Within a highlighted lineage, lines lead from a parent on it to a child on it
+            const parentOnLineage = partnership.ids.some(inLineage);
+            const descentOnLineage = parentOnLineage && childrenIds.some(inLineage);
+            setAlpha(partnership.ids.every(inLineage) || descentOnLineage);
+            this._setLineStyle('partnership', partnership.style);
+            this._drawPartnershipLine(partnership, p1, p2);
+
+            if (childrenIds.length === 0) {
+                setAlpha(true);
+                return;
+            }
+
+            const parentMidX = (p1.x + p2.x) / 2;
+            const partnershipY = Math.max(p1.y, p2.y);
+            const sibshipY = partnershipY + this.config.vSpacing / 2;
+            setAlpha(descentOnLineage);
+            this._setLineStyle('descent');
+            this.ctx.beginPath();
+            this.ctx.moveTo(parentMidX, partnershipY);
+            this.ctx.lineTo(parentMidX, sibshipY);
+            this.ctx.stroke();
+
+            const childCoords = childrenIds.map(id => this.nodeCoords[id]);
+            const twinGroups = {};
+            const dropXs = [];
+            childrenIds.forEach((id, i) => {
+                const child = this._getPerson(id);
+                if (child.twin && child.twin.id) {
+                    (twinGroups[child.twin.id] = twinGroups[child.twin.id] || []).push({ person: child, coord: childCoords[i] });
+                } else {
+                    dropXs.push(childCoords[i].x);
+                }
+            });
+            // A twin set hangs from a single point of the sibship line
+            Object.values(twinGroups).forEach(twins => {
+                dropXs.push(twins.reduce((sum, twin) => sum + twin.coord.x, 0) / twins.length);
+            });
+            const firstChildX = Math.min(...dropXs);
+            const lastChildX = Math.max(...dropXs);
+
+            // BUG FIX: Draw horizontal line connecting parent dropdown to children
+            const sibshipLineStart = Math.min(parentMidX, firstChildX);
+            const sibshipLineEnd = Math.max(parentMidX, lastChildX);
+
+            this._setLineStyle('sibship');
+            this.ctx.beginPath();
+            this.ctx.moveTo(sibshipLineStart, sibshipY);
+            this.ctx.lineTo(sibshipLineEnd, sibshipY);
+            this.ctx.stroke();
+            
+            // Draw vertical lines from sibship line to each child, twins branch from a shared point
+            childrenIds.forEach((id, i) => {
+                const child = this._getPerson(id);
+                if (!child.twin || !child.twin.id) {
+                    setAlpha(parentOnLineage && inLineage(id));
+                    this._setLineStyle('child', child.style && child.style.line);
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(childCoords[i].x, sibshipY);
+                    this.ctx.lineTo(childCoords[i].x, childCoords[i].y - childCoords[i].halfHeight);
+                    this.ctx.stroke();
+                }
+            });
+            this._setLineStyle('child');
+            Object.values(twinGroups).forEach(twins => {
+                setAlpha(parentOnLineage && twins.some(twin => inLineage(twin.person.id)));
+                this._drawTwinConnections(twins, sibshipY);
+            });
+            setAlpha(true);
+        });
+        this.ctx.setLineDash([]);
+    }
 
-        if (person.phenotypes && person.phenotypes.length > 0) {
-            this._drawPhenotypeFill(person, x, y);
+    /**
+     * Draws the branches of a twin set from a single point on the sibship line. Monozygotic
+     * twins are joined by a horizontal bar and twins of unknown zygosity are marked with "?".
+     * @private
+     */
+    _drawTwinConnections(twins, sibshipY) {
+        const apexX = twins.reduce((sum, twin) => sum + twin.coord.x, 0) / twins.length;
+        twins.forEach(({ coord }) => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(apexX, sibshipY);
+            this.ctx.lineTo(coord.x, coord.y - coord.halfHeight);
+            this.ctx.stroke();
+        });
+        if (twins.length < 2) return;
+
+        const zygosity = twins[0].person.twin.zygosity;
+        const sorted = twins.slice().sort((a, b) => a.coord.x - b.coord.x);
+        const left = sorted[0].coord;
+        const right = sorted[sorted.length - 1].coord;
+        // Point halfway down a branch, so the marker sits between the diverging lines
+        const midpoint = (coord) => ({
+            x: (apexX + coord.x) / 2,
+            y: (sibshipY + coord.y - coord.halfHeight) / 2
+        });
+
+        if (zygosity === 'MZ') {
+            const a = midpoint(left);
+            const b = midpoint(right);
+            this.ctx.beginPath();
+            this.ctx.moveTo(a.x, a.y);
+            this.ctx.lineTo(b.x, b.y);
+            this.ctx.stroke();
+        } else if (zygosity !== 'DZ') {
+            const y = (midpoint(left).y + midpoint(right).y) / 2;
+            this.ctx.fillStyle = this.config.lineColor;
+            this.ctx.font = this.config.font;
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('?', apexX, y + 4);
         }
+    }
 
-        this.ctx.beginPath();
-        this.ctx.strokeStyle = this.config.lineColor;
-        this.ctx.lineWidth = this.config.lineWidth;
+    render() {
+        this._cancelFrame();
+        // The host may have edited `data` directly since the last render
+        this._invalidateGraph();
+        this._optimizeLayout();
+        if (this.config.autoSize && !this.config.responsive) {
+            this._fitCanvasToChart();
+        }
+        this._dragLayer = null;
+        this._drawFrame();
+        this._scheduleAccessibleTableUpdate();
+        if (this._validationPending) {
+            this._validationPending = false;
+            this._emit('validate', { issues: this.validationIssues.slice() });
+        }
 
-        if (person.sex === 'M') {
-            this.ctx.rect(x - this.config.nodeWidth / 2, y - this.config.nodeHeight / 2, this.config.nodeWidth, this.config.nodeHeight);
-        } else if (person.sex === 'F') {
-            this.ctx.arc(x, y, this.config.nodeWidth / 2, 0, 2 * Math.PI);
+        // Individuals that were deleted or undone cannot stay selected
+        const selected = [...this.selectedIds].filter(id => this._getPerson(id));
+        if (selected.length !== this.selectedIds.size) {
+            this.selectedIds = new Set(selected);
+            this._emit('selectionChange', { selected });
         }
-        this.ctx.stroke();
+        this._emit('render');
+    }
 
-        // Reset shadow
-        this.ctx.shadowColor = 'transparent';
-        this.ctx.shadowBlur = 0;
+    /**
+     * Redraws on the next animation frame, once however often it is called before then.
+     * Used for pointer moves, which only change positions and the view. Without
+     * requestAnimationFrame (e.g. in Node.js) the redraw happens at once.
+     * @private
+     */
+    _scheduleRender() {
+        if (typeof requestAnimationFrame !== 'function') {
+            this._renderFrame();
+            return;
+        }
+        if (this._frameRequest === null) {
+            const request = requestAnimationFrame(() => {
+                // A full render in the meantime replaces this frame
+                if (this._frameRequest !== request) return;
+                this._frameRequest = null;
+                this._renderFrame();
+            });
+            this._frameRequest = request;
+        }
+    }
 
-        if (person.isProband) {
-            const arrowX = x - this.config.nodeWidth / 2 - 5;
-            this.ctx.beginPath();
-            this.ctx.moveTo(arrowX - this.config.probandArrowSize, y);
-            this.ctx.lineTo(arrowX, y);
-            this.ctx.moveTo(arrowX, y);
-            this.ctx.lineTo(arrowX - 5, y - 5);
-            this.ctx.moveTo(arrowX, y);
-            this.ctx.lineTo(arrowX - 5, y + 5);
-            this.ctx.stroke();
+    /**
+     * Draws a scheduled frame now, if there is one.
+     * @private
+     */
+    _flushRender() {
+        if (this._frameRequest !== null) {
+            this._cancelFrame();
+            this._renderFrame();
         }
-        
-        this._drawText(person.name, x, y + this.config.nodeHeight / 2 + 5);
     }
-    
-    _drawPhenotypeFill(person, x, y) {
-        const phenotypes = person.phenotypes;
-        const numPhenotypes = phenotypes.length;
-        if (numPhenotypes === 0) return;
 
-        if (person.sex === 'F') { // Pie chart for females
-            const radius = this.config.nodeWidth / 2;
-            const angleStep = (2 * Math.PI) / numPhenotypes;
+    /**
+     * @private
+     */
+    _cancelFrame() {
+        if (this._frameRequest !== null) {
+            if (typeof cancelAnimationFrame === 'function') cancelAnimationFrame(this._frameRequest);
+            this._frameRequest = null;
+        }
+    }
 
-            phenotypes.forEach((phenoId, i) => {
-                const style = this.config.phenotypes[phenoId] || this.config.phenotypes['default_affected'];
-                if (style.facecolor) {
-                    this.ctx.fillStyle = style.facecolor;
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(x, y);
-                    this.ctx.arc(x, y, radius, angleStep * i, angleStep * (i + 1));
-                    this.ctx.closePath();
-                    this.ctx.fill();
+    /**
+     * @private
+     */
+    _renderFrame() {
+        if (!this.isDragging || !this._drawDragFrame()) {
+            this._drawFrame();
+        }
+        this._emit('render');
+    }
+
+    /**
+     * Draws the whole chart onto the canvas with the current view.
+     * @private
+     */
+    _drawFrame() {
+        this.nodeCoords = {};
+        this._clearCanvas(this.ctx);
+        this._applyViewTransform(this.ctx);
+        this._drawChart();
+        this._drawRubberBand();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    /**
+     * Draws a frame of a drag: the cached layer with everyone who stays put, then the
+     * dragged individuals and their connections on top. The layer is redrawn when the
+     * view changes, and dropped by _moveGroup() when it shifts anyone else aside.
+     * @returns {boolean} False when no layer canvas can be created.
+     * @private
+     */
+    _drawDragFrame() {
+        const moving = new Set(this.dragGroup);
+        if (!this._isDragLayerCurrent(this._dragLayer, moving)) {
+            this._dragLayer = this._createDragLayer(moving);
+        }
+        const layer = this._dragLayer;
+        if (!layer) return false;
+
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.drawImage(layer.canvas, 0, 0);
+        this._applyViewTransform(this.ctx);
+        this._drawChart({ ids: moving, include: true });
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        return true;
+    }
+
+    /**
+     * Draws everyone outside the drag group onto a canvas of the same size.
+     * @private
+     */
+    _createDragLayer(moving) {
+        const doc = this.canvas.ownerDocument || (typeof document !== 'undefined' ? document : null);
+        if (!doc || typeof doc.createElement !== 'function') return null;
+        const canvas = doc.createElement('canvas');
+        canvas.width = this.canvas.width;
+        canvas.height = this.canvas.height;
+
+        const ctx = canvas.getContext('2d');
+        const previousCtx = this.ctx;
+        this.ctx = ctx;
+        try {
+            this.nodeCoords = {};
+            this._clearCanvas(ctx);
+            this._applyViewTransform(ctx);
+            this._drawChart({ ids: moving, include: false });
+        } finally {
+            this.ctx = previousCtx;
+        }
+        return { canvas, moving, view: Object.assign({}, this.view) };
+    }
+
+    /**
+     * @private
+     */
+    _isDragLayerCurrent(layer, moving) {
+        if (!layer || layer.canvas.width !== this.canvas.width || layer.canvas.height !== this.canvas.height) return false;
+        if (layer.view.scale !== this.view.scale || layer.view.x !== this.view.x || layer.view.y !== this.view.y) return false;
+        return layer.moving.size === moving.size && [...moving].every(id => layer.moving.has(id));
+    }
+
+    /**
+     * Maps chart coordinates to canvas pixels: the pan and zoom, then the pixel ratio.
+     * @private
+     */
+    _applyViewTransform(ctx) {
+        const ratio = this.pixelRatio;
+        const { scale, x, y } = this.view;
+        ctx.setTransform(scale * ratio, 0, 0, scale * ratio, x * ratio, y * ratio);
+    }
+
+    /**
+     * @private
+     */
+    _clearCanvas(ctx) {
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.config.background) {
+            ctx.fillStyle = this.config.background;
+            ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _drawRubberBand() {
+        if (this.rubberBand) {
+            const { start, end } = this.rubberBand;
+            this.ctx.save();
+            this.ctx.fillStyle = 'rgba(0, 123, 255, 0.1)';
+            this.ctx.strokeStyle = 'rgba(0, 123, 255, 0.8)';
+            this.ctx.lineWidth = 1 / this.view.scale;
+            this.ctx.fillRect(Math.min(start.x, end.x), Math.min(start.y, end.y), Math.abs(end.x - start.x), Math.abs(end.y - start.y));
+            this.ctx.strokeRect(Math.min(start.x, end.x), Math.min(start.y, end.y), Math.abs(end.x - start.x), Math.abs(end.y - start.y));
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * Draws every individual and connection onto the current context. Backends that
+     * support grouping (such as the SVG context) get one group per individual.
+     * On screen, individuals and connections outside the visible area are skipped.
+     * @param {{ids: Set<string>, include: boolean}} [filter] Only draw these individuals
+     *        (include) or everyone else, with the connections that do (not) involve them.
+     * @private
+     */
+    _drawChart(filter = null) {
+        const canGroup = typeof this.ctx.beginGroup === 'function';
+        // Worked out once per frame for both the hidden individuals and the markers
+        const branches = this._getCollapsedBranches();
+        const hidden = this._getHiddenIds(branches);
+        const drawn = id => !filter || filter.ids.has(id) === filter.include;
+        const area = this._getVisibleArea();
+        this._lineage = this._getLineageHighlight();
+        this._spatialIndex = null;
+        const people = filter && filter.include ? [...filter.ids].map(id => this._getPerson(id)).filter(Boolean) : this.data;
+        people.forEach(person => {
+            if (hidden.has(person.id) || !drawn(person.id)) return;
+            if (area) {
+                // Off-screen individuals still get coordinates for the connections to them
+                const coord = this._getNodeCoord(person);
+                if (coord.x < area.left || coord.x > area.right || coord.y < area.top || coord.y > area.bottom) {
+                    this.nodeCoords[person.id] = coord;
+                    return;
                 }
+            }
+            if (canGroup) this.ctx.beginGroup({ class: 'pedigree-individual', 'data-id': person.id });
+            this.ctx.globalAlpha = this._lineage && !this._lineage.has(person.id) ? this.config.dimOpacity : 1;
+            this._drawNode(person);
+            this.ctx.globalAlpha = 1;
+            if (canGroup) this.ctx.endGroup();
+        });
+        if (canGroup) this.ctx.beginGroup({ class: 'pedigree-connections' });
+        this._drawConnections(filter, area);
+        if (canGroup) this.ctx.endGroup();
+        if (canGroup) this.ctx.beginGroup({ class: 'pedigree-collapse-markers' });
+        this._drawCollapseMarkers(branches, drawn);
+        if (canGroup) this.ctx.endGroup();
+        if (!filter || !filter.include) {
+            if (canGroup) this.ctx.beginGroup({ class: 'pedigree-annotations' });
+            this._drawMarginText();
+            if (canGroup) this.ctx.endGroup();
+        }
+    }
+
+    /**
+     * The part of the chart visible on the canvas, widened by a row and a column for
+     * labels and lines, or null when drawing for export.
+     * @private
+     */
+    _getVisibleArea() {
+        if (this._offscreen || !this.canvas) return null;
+        const margin = Math.max(this.config.hSpacing, this.config.vSpacing);
+        const topLeft = this._screenToChart({ x: 0, y: 0 });
+        const size = this._getViewportSize();
+        const bottomRight = this._screenToChart({ x: size.width, y: size.height });
+        return {
+            left: topLeft.x - margin,
+            top: topLeft.y - margin,
+            right: bottomRight.x + margin,
+            bottom: bottomRight.y + margin
+        };
+    }
+
+    /**
+     * Ids of everyone hidden by collapsed branches and the side view.
+     * @param {Array<Object>} [branches] The result of _getCollapsedBranches(), when already known.
+     * @private
+     */
+    _getHiddenIds(branches = this._getCollapsedBranches()) {
+        const hidden = new Set();
+        branches.forEach(branch => branch.ids.forEach(id => hidden.add(id)));
+
+        const side = this.sideView;
+        const parentId = side && this._getPerson(side.id) && this._getSideParent(side.id, side.side);
+        if (parentId) {
+            const otherParentId = this.getParents(side.id).find(id => id !== parentId);
+            const visible = new Set(otherParentId ? [otherParentId] : []);
+            this._getLineage(parentId, 'up').forEach((depth, ancestorId) => {
+                this._getLineage(ancestorId, 'down').forEach((_, relativeId) => visible.add(relativeId));
             });
-        } else if (person.sex === 'M') { // Vertical bars for males
-            const barWidth = this.config.nodeWidth / numPhenotypes;
-            const startX = x - this.config.nodeWidth / 2;
-            
-            phenotypes.forEach((phenoId, i) => {
-                 const style = this.config.phenotypes[phenoId] || this.config.phenotypes['default_affected'];
-                 if (style.facecolor) {
-                    this.ctx.fillStyle = style.facecolor;
-                    this.ctx.fillRect(startX + i * barWidth, y - this.config.nodeHeight / 2, barWidth, this.config.nodeHeight);
-                 }
+            [...visible].forEach(id => {
+                if (id !== otherParentId) this._getPartnerIds(id).forEach(partnerId => visible.add(partnerId));
+            });
+            this.data.forEach(person => {
+                if (!visible.has(person.id)) hidden.add(person.id);
             });
         }
+        return hidden;
     }
 
-    _drawText(text, x, y) {
-        this.ctx.fillStyle = this.config.lineColor;
+    /**
+     * The individuals hidden by each collapsed branch: descendants, or ancestors with
+     * everyone descending from them except the individual's own line, plus partners who
+     * have no parents in the pedigree and whose partners are all hidden.
+     * @private
+     */
+    _getCollapsedBranches() {
+        const branches = [];
+        ['descendants', 'ancestors'].forEach(direction => this.collapsed[direction].forEach(id => {
+            if (!this._getPerson(id)) return;
+            const ids = new Set();
+            if (direction === 'descendants') {
+                this._getLineage(id, 'down').forEach((depth, relativeId) => ids.add(relativeId));
+            } else {
+                const kept = this._getLineage(id, 'down');
+                this._getLineage(id, 'up').forEach((depth, ancestorId) => {
+                    if (ancestorId === id) return;
+                    this._getLineage(ancestorId, 'down').forEach((_, relativeId) => {
+                        if (!kept.has(relativeId)) ids.add(relativeId);
+                    });
+                });
+            }
+            ids.delete(id);
+            [...ids].forEach(hiddenId => this._getPartnerIds(hiddenId).forEach(partnerId => {
+                const partners = this._getPartnerIds(partnerId);
+                if (partnerId !== id && this.getParents(partnerId).length === 0 && partners.every(otherId => ids.has(otherId))) {
+                    ids.add(partnerId);
+                }
+            }));
+            branches.push({ id, direction, ids });
+        }));
+        return branches;
+    }
+
+    /**
+     * Draws a "+N" marker at the lower right of individuals whose descendants are
+     * collapsed, and at the upper right of those whose ancestors are.
+     * @param {Array<Object>} branches The result of _getCollapsedBranches().
+     * @private
+     */
+    _drawCollapseMarkers(branches, drawn = () => true) {
+        if (!this._offscreen) this.collapseMarkers = this.collapseMarkers.filter(marker => !drawn(marker.id));
         this.ctx.font = this.config.font;
         this.ctx.textAlign = 'center';
-        const lines = text.split('\n');
-        lines.forEach((line, i) => {
-            this.ctx.fillText(line, x, y + 10 + (i * 14));
+        branches.forEach(({ id, direction, ids }) => {
+            const coord = this.nodeCoords[id];
+            if (!coord || ids.size === 0 || !drawn(id)) return;
+            const text = `+${ids.size}`;
+            const width = this.ctx.measureText(text).width + 8;
+            const height = 16;
+            const x = coord.x + coord.halfWidth + 2;
+            const y = direction === 'descendants' ? coord.y + coord.halfHeight - height / 2 : coord.y - coord.halfHeight - height / 2;
+
+            this.ctx.fillStyle = this.config.background || '#fff';
+            this.ctx.strokeStyle = this.config.lineColor;
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.rect(x, y, width, height);
+            this.ctx.fill();
+            this.ctx.stroke();
+            this.ctx.fillStyle = this.config.lineColor;
+            this.ctx.fillText(text, x + width / 2, y + height - 4);
+            if (!this._offscreen) this.collapseMarkers.push({ id, direction, x, y, width, height });
+        });
+    }
+
+    /**
+     * The collapse marker under a chart position, if any.
+     * @private
+     */
+    _findCollapseMarker(point) {
+        return this.collapseMarkers.find(marker =>
+            point.x >= marker.x && point.x <= marker.x + marker.width &&
+            point.y >= marker.y && point.y <= marker.y + marker.height) || null;
+    }
+
+    /**
+     * Ids of everyone on the highlighted lineages, or null when nothing is highlighted.
+     * @private
+     */
+    _getLineageHighlight() {
+        let targets = this.lineageIds.length > 0 ? this.lineageIds
+            : this.config.lineageFromSelection ? this.getSelection() : [];
+        targets = targets.filter(id => this._getPerson(id));
+        if (targets.length === 0) return null;
+
+        const proband = this.data.find(person => person.isProband);
+        const from = proband ? proband.id : targets[0];
+        const lineage = new Set([from]);
+        targets.forEach(id => this._getLineagePath(from, id).forEach(pathId => lineage.add(pathId)));
+        return lineage;
+    }
+
+    /**
+     * Everyone on the shortest blood lines between two individuals: up from each to their
+     * closest common ancestors, including both of the two when they are not related.
+     * @private
+     */
+    _getLineagePath(id, otherId) {
+        const path = new Set([id, otherId]);
+        const { commonAncestors } = this.getRelationship(id, otherId);
+        [id, otherId].forEach(start => {
+            const up = this._getLineage(start, 'up');
+            up.forEach((depth, ancestorId) => {
+                const above = this._getLineage(ancestorId, 'up');
+                if (commonAncestors.some(commonId => above.get(commonId) === up.get(commonId) - depth)) {
+                    path.add(ancestorId);
+                }
+            });
+        });
+        return path;
+    }
+
+    /**
+     * Runs a drawing routine against another backend context, restoring the canvas
+     * context (and the on-screen node coordinates) afterwards.
+     * @private
+     */
+    _withContext(ctx, draw) {
+        const previousCtx = this.ctx;
+        const previousCoords = this.nodeCoords;
+        this.ctx = ctx;
+        this.nodeCoords = {};
+        this._offscreen = true;
+        try {
+            return draw();
+        } finally {
+            this.ctx = previousCtx;
+            this.nodeCoords = previousCoords;
+            this._offscreen = false;
+        }
+    }
+
+    /**
+     * Pixel bounds of the whole chart, including labels, proband arrows and placeholder
+     * partners, as used for vector exports.
+     * @private
+     */
+    _getChartBounds() {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const include = (x1, y1, x2, y2) => {
+            minX = Math.min(minX, x1);
+            minY = Math.min(minY, y1);
+            maxX = Math.max(maxX, x2);
+            maxY = Math.max(maxY, y2);
+        };
+
+        this.ctx.font = this.config.font;
+        const hidden = this._getHiddenIds();
+        this.data.forEach(person => {
+            if (hidden.has(person.id)) return;
+            const { x, y } = this._getPixelCoords(person.pos.x, person.pos.y);
+            const { halfWidth, halfHeight } = this._getShapeExtent(person);
+            const labelLines = this._getLabelLines(person);
+            const labelHalfWidth = Math.max(0, ...labelLines.map(line => this.ctx.measureText(line).width / 2));
+            const arrow = person.isProband ? this.config.probandArrowSize + 5 : 0;
+            include(
+                Math.min(x - halfWidth - arrow - 5, x - labelHalfWidth),
+                y - halfHeight - 5,
+                Math.max(x + halfWidth + 5, x + labelHalfWidth),
+                y + halfHeight + 10 + labelLines.length * 14
+            );
+        });
+        this._getPartnerships().forEach(partnership => {
+            if (!partnership.placeholder || hidden.has(partnership.ids[0])) return;
+            const { x, y, halfWidth, halfHeight } = this._getPlaceholderCoords(this._getPerson(partnership.ids[0]));
+            include(x - halfWidth, y - halfHeight, x + halfWidth, y + halfHeight);
+        });
+
+        const left = this.config.padding.left - this.config.nodeWidth / 2;
+        this._getHeaderLines().forEach((line, i) => {
+            const top = this.config.padding.top - this.config.nodeHeight / 2 + i * 16;
+            include(left, top, left + this.ctx.measureText(line).width * (i === 0 ? 1.1 : 1), top + 16);
+        });
+        if (this.config.showGenerationLabels && this.data.length > 0) {
+            include(left, minY, left + this.ctx.measureText('VIII').width, minY);
+        }
+
+        if (minX === Infinity) return { x: 0, y: 0, width: 0, height: 0 };
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Renders the chart as a standalone SVG document. Each individual is a `<g>` element
+     * with a `data-id` attribute so it can be styled or post-processed.
+     * @param {Object} [options]
+     * @param {number} [options.margin=20] Space around the chart, in pixels.
+     * @param {string} [options.background] Fill colour for the background; `config.background` when omitted.
+     * @param {boolean|Object} [options.anonymise] De-identify the chart; see getAnonymisedData().
+     * @returns {string} The SVG markup.
+     */
+    toSVG(options = {}) {
+        const margin = options.margin === undefined ? 20 : options.margin;
+        return this._withExportData(options.anonymise, () => {
+            const bounds = this._getChartBounds();
+            const svg = new PedigreeSVGContext(bounds.width + margin * 2, bounds.height + margin * 2, {
+                viewBox: [bounds.x - margin, bounds.y - margin, bounds.width + margin * 2, bounds.height + margin * 2],
+                background: options.background === undefined ? this.config.background : options.background
+            });
+            this._withContext(svg, () => this._drawChart());
+            return svg.toString();
+        });
+    }
+
+    /**
+     * Renders the chart as an SVG DOM element (browser only).
+     * @param {Object} [options] Same options as toSVG().
+     * @returns {SVGSVGElement}
+     */
+    toSVGElement(options = {}) {
+        const doc = new DOMParser().parseFromString(this.toSVG(options), 'image/svg+xml');
+        return document.importNode(doc.documentElement, true);
+    }
+
+    /**
+     * Draws the whole chart onto a new canvas sized to fit it, independent of the canvas
+     * it is displayed on and of the current pan and zoom.
+     * @param {Object} [options]
+     * @param {number} [options.margin=20] Space around the chart, in pixels.
+     * @param {number} [options.scale=1] Pixels per chart unit, e.g. 2 for a sharper image.
+     * @param {string} [options.background] Fill colour for the background; `config.background` when omitted.
+     * @param {Function} [options.createCanvas] Called with (width, height) to create the canvas;
+     *        a DOM canvas by default, node-canvas' createCanvas in Node.js.
+     * @param {boolean|Object} [options.anonymise] De-identify the chart; see getAnonymisedData().
+     * @returns {Object} The canvas.
+     */
+    toCanvas(options = {}) {
+        const margin = options.margin === undefined ? 20 : options.margin;
+        const scale = options.scale || 1;
+        const createCanvas = options.createCanvas || ((width, height) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        });
+        return this._withExportData(options.anonymise, () => {
+            const bounds = this._getChartBounds();
+            const canvas = createCanvas(
+                Math.ceil((bounds.width + margin * 2) * scale),
+                Math.ceil((bounds.height + margin * 2) * scale)
+            );
+            const ctx = canvas.getContext('2d');
+            const background = options.background === undefined ? this.config.background : options.background;
+            if (background) {
+                ctx.fillStyle = background;
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+            ctx.setTransform(scale, 0, 0, scale, (margin - bounds.x) * scale, (margin - bounds.y) * scale);
+            this._withContext(ctx, () => this._drawChart());
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            return canvas;
+        });
+    }
+
+    /**
+     * Renders a printable PDF document: a header with the title, date and clinician, the
+     * chart, the generation numerals down the left edge and a legend of the symbols and
+     * phenotypes. A chart too large for one page at the chosen scale is tiled across
+     * several pages, row by row, and every page repeats the header, numerals and legend.
+     * The document is built without fonts or network access.
+     * @param {Object} [options]
+     * @param {string|Array<number>} [options.pageSize='A4'] 'A4', 'Letter' or [width, height] in points.
+     * @param {string} [options.orientation='auto'] 'portrait', 'landscape', or 'auto' for whichever
+     *        needs fewer pages.
+     * @param {number} [options.scale=0.75] Points per chart pixel; 0.75 prints the chart at its on-screen size.
+     * @param {boolean} [options.fitToPage=false] Shrink the chart onto a single page instead of tiling it.
+     * @param {number} [options.pageMargin=36] Blank border around each page, in points.
+     * @param {string} [options.title] Title in the header; `config.header.title` or "Pedigree" by default.
+     * @param {string|boolean} [options.date] Date in the header; `config.header.date` or today by default,
+     *        false for none.
+     * @param {string} [options.clinician] Clinician named in the header.
+     * @param {boolean} [options.legend=true] Print the legend at the foot of each page.
+     * @param {boolean} [options.generationLabels=true] Print the generation numerals.
+     * @param {string} [options.background] Fill colour for the pages; `config.background` when omitted.
+     * @param {boolean|Object} [options.anonymise] De-identify the chart; see getAnonymisedData().
+     *        The header defaults then come from the de-identified chart, so the informant, the
+     *        date and (unless `keepTitle` is set) the title of `config.header` are left out;
+     *        title, date and clinician options are printed as given.
+     * @returns {string} The PDF file. It only contains ASCII, so it can be written out as text.
+     */
+    toPDF(options = {}) {
+        return this._withExportData(options.anonymise, () => this._renderPDF(options));
+    }
+
+    /**
+     * Builds the PDF document of toPDF() from the current, possibly de-identified, data and config.
+     * @private
+     */
+    _renderPDF(options) {
+        const header = this.config.header || {};
+        const defaults = {
+            pageSize: 'A4',
+            orientation: 'auto',
+            scale: 0.75,
+            fitToPage: false,
+            pageMargin: 36,
+            title: header.title || 'Pedigree',
+            date: header.date || new Date().toISOString().slice(0, 10),
+            clinician: null,
+            informant: header.informant,
+            legend: true,
+            generationLabels: true,
+            background: this.config.background
+        };
+        const settings = {};
+        Object.keys(defaults).forEach(key => {
+            settings[key] = options[key] === undefined ? defaults[key] : options[key];
+        });
+        const size = Array.isArray(settings.pageSize) ? settings.pageSize : PedigreePDFContext.pageSizes[settings.pageSize];
+        if (!size) {
+            throw new Error(`Unknown page size "${settings.pageSize}". Use 'A4', 'Letter' or [width, height] in points.`);
+        }
+        if (!['auto', 'portrait', 'landscape'].includes(settings.orientation)) {
+            throw new Error(`Unknown orientation "${settings.orientation}". Use 'portrait', 'landscape' or 'auto'.`);
+        }
+
+        // The header and numerals are printed on the page rather than in the chart
+        const { header: chartHeader, showGenerationLabels } = this.config;
+        this.config.header = null;
+        this.config.showGenerationLabels = false;
+        try {
+            const measure = new PedigreePDFContext(size[0], size[1]);
+            const { bounds, layout } = this._withContext(measure, () => {
+                const bounds = this._getChartBounds();
+                return { bounds, layout: this._getPDFLayout(bounds, size, settings) };
+            });
+            const pdf = new PedigreePDFContext(layout.width, layout.height, {
+                title: settings.title,
+                background: settings.background
+            });
+            this._withContext(pdf, () => {
+                for (let row = 0; row < layout.rows; row++) {
+                    for (let column = 0; column < layout.columns; column++) {
+                        if (row > 0 || column > 0) pdf.addPage();
+                        this._drawPDFPage(bounds, layout, settings, row, column);
+                    }
+                }
+            });
+            return pdf.toString();
+        } finally {
+            this.config.header = chartHeader;
+            this.config.showGenerationLabels = showGenerationLabels;
+        }
+    }
+
+    /**
+     * Chooses the orientation, chart scale and number of pages of a PDF export. The chart
+     * area of a page lies between the header and the legend, right of the numerals.
+     * @private
+     */
+    _getPDFLayout(bounds, size, settings) {
+        const margin = settings.pageMargin;
+        const chartMargin = 10; // Room around the chart bounds for line ends
+        const headerHeight = 46;
+        const chartWidth = bounds.width + chartMargin * 2;
+        const chartHeight = bounds.height + chartMargin * 2;
+        const orientations = settings.orientation === 'auto' ? ['portrait', 'landscape'] : [settings.orientation];
+        const layouts = orientations.map(orientation => {
+            const long = Math.max(size[0], size[1]);
+            const short = Math.min(size[0], size[1]);
+            const [width, height] = orientation === 'landscape' ? [long, short] : [short, long];
+            const gutter = settings.generationLabels ? 30 : 0;
+            const legendHeight = settings.legend ? this._drawPDFLegend(margin, 0, width - margin * 2, false) + 12 : 0;
+            const area = {
+                left: margin + gutter,
+                top: margin + headerHeight,
+                width: width - margin * 2 - gutter,
+                height: Math.max(1, height - margin * 2 - headerHeight - legendHeight)
+            };
+            const scale = settings.fitToPage
+                ? Math.min(settings.scale, area.width / chartWidth, area.height / chartHeight)
+                : settings.scale;
+            return {
+                orientation,
+                width,
+                height,
+                area,
+                scale,
+                chartMargin,
+                legendTop: height - margin - legendHeight + 12,
+                // Allow for rounding so a chart that just fits does not spill onto another page
+                columns: Math.max(1, Math.ceil(chartWidth * scale / area.width - 1e-6)),
+                rows: Math.max(1, Math.ceil(chartHeight * scale / area.height - 1e-6))
+            };
         });
+
+        // Fewer pages first, then a larger chart, then the orientation that matches its shape
+        const matchesShape = layout => (layout.orientation === 'landscape') === (chartWidth > chartHeight);
+        return layouts.sort((a, b) =>
+            a.rows * a.columns - b.rows * b.columns ||
+            b.scale - a.scale ||
+            matchesShape(b) - matchesShape(a)
+        )[0];
     }
 
-    _drawConnections() {
+    /**
+     * Draws one page of a PDF export: the header, the part of the chart in this row and
+     * column of the tiling, the numerals of the generations on it and the legend.
+     * @private
+     */
+    _drawPDFPage(bounds, layout, settings, row, column) {
+        const { area, scale, chartMargin } = layout;
+        const pages = layout.rows * layout.columns;
+        this._drawPDFHeader(layout, settings, row * layout.columns + column + 1, pages);
+        if (pages > 1) {
+            this.ctx.fillStyle = this.config.lineColor;
+            this.ctx.font = '9px Helvetica';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`Row ${row + 1} of ${layout.rows}, column ${column + 1} of ${layout.columns}`,
+                layout.width - settings.pageMargin, settings.pageMargin + 30);
+        }
+
+        // Charts narrower than the page are centred; tiles start at the left edge
+        const chartWidth = (bounds.width + chartMargin * 2) * scale;
+        const offset = layout.columns === 1 ? Math.max(0, (area.width - chartWidth) / 2) : 0;
+        const originX = area.left + offset - (bounds.x - chartMargin + column * area.width / scale) * scale;
+        const originY = area.top - (bounds.y - chartMargin + row * area.height / scale) * scale;
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(area.left, area.top, area.width, area.height);
+        this.ctx.clip();
+        this.ctx.setTransform(scale, 0, 0, scale, originX, originY);
+        this._drawChart();
+        this.ctx.restore();
+
+        if (settings.generationLabels) {
+            this.ctx.fillStyle = this.config.lineColor;
+            this.ctx.font = 'bold 10px Helvetica';
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'middle';
+            [...new Set(this.data.map(person => person.pos.y))].sort((a, b) => a - b).forEach((y, generation) => {
+                const pageY = originY + this._getPixelCoords(0, y).y * scale;
+                if (pageY >= area.top && pageY <= area.top + area.height) {
+                    this.ctx.fillText(this._toRoman(generation + 1), settings.pageMargin, pageY);
+                }
+            });
+            this.ctx.textBaseline = 'alphabetic';
+        }
+        if (settings.legend) {
+            this._drawPDFLegend(settings.pageMargin, layout.legendTop, layout.width - settings.pageMargin * 2);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _drawPDFHeader(layout, settings, page, pages) {
+        const margin = settings.pageMargin;
+        const right = layout.width - margin;
+        const details = [
+            settings.date && `Date: ${settings.date}`,
+            settings.clinician && `Clinician: ${settings.clinician}`,
+            settings.informant && `Informant: ${settings.informant}`
+        ].filter(Boolean);
+        this.ctx.fillStyle = this.config.lineColor;
+        this.ctx.textAlign = 'left';
+        this.ctx.font = 'bold 14px Helvetica';
+        this.ctx.fillText(settings.title, margin, margin + 14);
+        this.ctx.font = '9px Helvetica';
+        this.ctx.fillText(details.join('     '), margin, margin + 30);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`Page ${page} of ${pages}`, right, margin + 14);
+
         this.ctx.strokeStyle = this.config.lineColor;
-        this.ctx.lineWidth = this.config.lineWidth;
-        const drawnPartnerships = new Set();
-        const childrenByParents = {};
+        this.ctx.lineWidth = 0.5;
+        this.ctx.beginPath();
+        this.ctx.moveTo(margin, margin + 38);
+        this.ctx.lineTo(right, margin + 38);
+        this.ctx.stroke();
+    }
 
-        this.data.forEach(person => {
-            if (person.parents && person.parents.length === 2) {
-                const parentKey = person.parents.sort().join('-');
-                if (!childrenByParents[parentKey]) {
-                    childrenByParents[parentKey] = [];
-                }
-                childrenByParents[parentKey].push(person.id);
-            }
-        });
+    /**
+     * Lays out the legend in rows across `width`: a sample symbol drawn by the chart code,
+     * then its description, for the sexes, the nomenclature symbols the pedigree uses and
+     * every phenotype. Draws it unless `draw` is false.
+     * @returns {number} The height of the legend, in points.
+     * @private
+     */
+    _drawPDFLegend(left, top, width, draw = true) {
+        const symbolSize = 12;
+        const rowHeight = 18;
+        const entries = [
+            { label: 'Male', sample: { sex: 'M' } },
+            { label: 'Female', sample: { sex: 'F' } },
+            ...this._getLegendSymbols(),
+            ...Object.keys(this.config.phenotypes).map(key => ({
+                label: this.config.phenotypes[key].description || key,
+                sample: { sex: 'M', phenotypes: [key] }
+            }))
+        ];
 
-        this.data.forEach(person => {
-            if (person.mate) {
-                const partnershipKey = [person.id, person.mate].sort().join('-');
-                if (!drawnPartnerships.has(partnershipKey)) {
-                    const p1 = this.nodeCoords[person.id];
-                    const p2 = this.nodeCoords[person.mate];
-                    if (p1 && p2) {
-                        const leftNode = p1.x < p2.x ? p1 : p2;
-                        const rightNode = p1.x < p2.x ? p2 : p1;
-                        
-                        this.ctx.beginPath();
-                        this.ctx.moveTo(leftNode.x + this.config.nodeWidth / 2, leftNode.y);
-                        this.ctx.lineTo(rightNode.x - this.config.nodeWidth / 2, rightNode.y);
-                        this.ctx.stroke();
-                        drawnPartnerships.add(partnershipKey);
-
-                        if (childrenByParents[partnershipKey]) {
-                            const midX = (p1.x + p2.x) / 2;
-                            this.ctx.beginPath();
-                            this.ctx.moveTo(midX, p1.y);
-                            this.ctx.lineTo(midX, p1.y + this.config.vSpacing / 2);
-                            this.ctx.stroke();
-                        }
-                    }
+        if (draw) {
+            this.ctx.fillStyle = this.config.lineColor;
+            this.ctx.font = 'bold 10px Helvetica';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText('Legend', left, top + 10);
+        }
+        let x = left;
+        let y = top + 16 + rowHeight / 2;
+        entries.forEach(entry => {
+            this.ctx.font = '9px Helvetica';
+            const entryWidth = symbolSize + 6 + this.ctx.measureText(entry.label).width;
+            if (x > left && x + entryWidth > left + width) {
+                x = left;
+                y += rowHeight;
+            }
+            if (draw) {
+                const centerX = x + symbolSize / 2;
+                if (entry.sample) {
+                    const scale = symbolSize / Math.max(this.config.nodeWidth, this.config.nodeHeight);
+                    this.ctx.save();
+                    this.ctx.translate(centerX, y);
+                    this.ctx.scale(scale, scale);
+                    this._drawSymbol(entry.sample, Object.assign({ x: 0, y: 0 }, this._getShapeExtent(entry.sample)));
+                    this.ctx.restore();
+                } else {
+                    this.ctx.fillStyle = this.config.lineColor;
+                    this.ctx.font = 'bold 9px Helvetica';
+                    this.ctx.textAlign = 'center';
+                    this.ctx.textBaseline = 'middle';
+                    this.ctx.fillText(entry.text, centerX, y);
                 }
+                this.ctx.fillStyle = this.config.lineColor;
+                this.ctx.font = '9px Helvetica';
+                this.ctx.textAlign = 'left';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText(entry.label, x + symbolSize + 6, y);
+                this.ctx.textBaseline = 'alphabetic';
             }
+            x += entryWidth + 14;
         });
-        
-        for (const parentKey in childrenByParents) {
-            const childrenIds = childrenByParents[parentKey];
-            const parentIds = parentKey.split('-');
-            const p1 = this.nodeCoords[parentIds[0]];
-            const p2 = this.nodeCoords[parentIds[1]];
-            
-            const sibshipY = p1.y + this.config.vSpacing / 2;
-            const childCoords = childrenIds.map(id => this.nodeCoords[id]);
-            
-            const firstChildX = Math.min(...childCoords.map(c => c.x));
-            const lastChildX = Math.max(...childCoords.map(c => c.x));
-
-            // BUG FIX: Draw horizontal line connecting parent dropdown to children
-            const parentMidX = (p1.x + p2.x) / 2;
-            const sibshipLineStart = Math.min(parentMidX, firstChildX);
-            const sibshipLineEnd = Math.max(parentMidX, lastChildX);
-
-            this.ctx.beginPath();
-            this.ctx.moveTo(sibshipLineStart, sibshipY);
-            this.ctx.lineTo(sibshipLineEnd, sibshipY);
-            this.ctx.stroke();
-            
-            // Draw vertical lines from sibship line to each child
-            childCoords.forEach(child => {
-                this.ctx.beginPath();
-                this.ctx.moveTo(child.x, sibshipY);
-                this.ctx.lineTo(child.x, child.y - this.config.nodeHeight / 2);
-                this.ctx.stroke();
-            });
-        }
-    }
-
-    render() {
-        this._optimizeLayout();
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.data.forEach(person => this._drawNode(person));
-        this._drawConnections();
+        return y + rowHeight / 2 - top;
     }
     
     drawLegend(legendId) {
@@ -514,15 +5464,860 @@ class PedigreeMaker {
             </div>
         `;
 
+        this._getLegendSymbols().forEach(symbol => {
+            html += `
+            <div style="display: flex; align-items: center; margin-bottom: 5px;">
+                <svg width="22" height="22" style="margin-right: 8px;">${symbol.svg}</svg> ${symbol.label}
+            </div>
+            `;
+        });
+
         for (const key in this.config.phenotypes) {
             const phenotype = this.config.phenotypes[key];
-            const style = `background-color: ${phenotype.facecolor || '#fff'};`;
+            // The swatch is drawn by the same pattern code as the chart
+            const swatch = new PedigreeSVGContext(20, 20);
+            if (phenotype.facecolor) {
+                this._withContext(swatch, () => this._fillPattern(phenotype, 0, 0, 20, 20));
+            }
             html += `
                  <div style="display: flex; align-items: center; margin-bottom: 5px;">
-                    <span style="display: inline-block; width: 20px; height: 20px; border: 1px solid black; margin-right: 10px; ${style}"></span> ${phenotype.description}
+                    <span style="display: inline-block; width: 20px; height: 20px; border: 1px solid black; margin-right: 10px; line-height: 0;">${swatch}</span> ${phenotype.description}
                 </div>
             `;
         }
         legendContainer.innerHTML = html;
     }
-}
\ No newline at end of file
+
+    /**
+     * The nomenclature symbols the pedigree uses, for the legends. `svg` is a 22px icon for
+     * the HTML legend; `sample` is an individual whose symbol the chart code draws, or
+     * `text` is printed instead.
+     * @private
+     */
+    _getLegendSymbols() {
+        const symbols = [
+            { used: p => this._getShape(p) === 'diamond' && !p.pregnancy, svg: '<polygon points="11,1 21,11 11,21 1,11" fill="none" stroke="black"/>', label: 'Unknown sex', sample: {} },
+            { used: p => p.deceased, svg: '<rect x="3" y="3" width="16" height="16" fill="none" stroke="black"/><line x1="0" y1="22" x2="22" y2="0" stroke="black"/>', label: 'Deceased', sample: { sex: 'M', deceased: true } },
+            { used: p => p.pregnancy && !p.pregnancyLoss, svg: '<polygon points="11,1 21,11 11,21 1,11" fill="none" stroke="black"/><text x="11" y="15" font-size="10" text-anchor="middle">P</text>', label: 'Pregnancy', sample: { pregnancy: true } },
+            { used: p => p.pregnancyLoss && p.pregnancyLoss !== 'termination', svg: '<polygon points="11,4 18,18 4,18" fill="none" stroke="black"/>', label: 'Miscarriage / stillbirth (SAB / SB)', sample: { pregnancyLoss: 'miscarriage' } },
+            { used: p => p.pregnancyLoss === 'termination', svg: '<polygon points="11,4 18,18 4,18" fill="none" stroke="black"/><line x1="2" y1="20" x2="20" y2="2" stroke="black"/>', label: 'Termination of pregnancy (TOP)', sample: { pregnancyLoss: 'termination' } },
+            { used: p => this.config.inheritanceMode !== 'AR' && this._getCarrierStatus(p) === 'carrier', svg: '<rect x="3" y="3" width="16" height="16" fill="none" stroke="black"/><circle cx="11" cy="11" r="3"/>', label: 'Carrier', sample: { sex: 'M', carrier: true } },
+            { used: p => this.config.inheritanceMode !== 'AR' && this._getCarrierStatus(p) === 'obligate', svg: '<rect x="3" y="3" width="16" height="16" fill="none" stroke="black"/><circle cx="11" cy="11" r="3"/>', label: 'Obligate carrier', sample: { sex: 'M', obligateCarrier: true } },
+            { used: p => this.config.inheritanceMode === 'AR' && this._getCarrierStatus(p), svg: `<rect x="3" y="3" width="8" height="16" fill="${this.config.phenotypes['default_affected'].facecolor}"/><rect x="3" y="3" width="16" height="16" fill="none" stroke="black"/>`, label: 'Heterozygous carrier', sample: { sex: 'M', carrier: true } },
+            { used: p => this.config.showEvaluations && this._getGenotypes(p).some(g => g.test === 'positive'), svg: '<text x="11" y="15" font-size="10" text-anchor="middle">E+</text>', label: 'Evaluated, positive result', text: 'E+' },
+            { used: p => this.config.showEvaluations && this._getGenotypes(p).some(g => g.test === 'negative'), svg: '<text x="11" y="15" font-size="10" text-anchor="middle">E\u2212</text>', label: 'Evaluated, negative result', text: 'E\u2212' }
+        ];
+        return symbols.filter(symbol => this.data.some(symbol.used));
+    }
+}
+
+/**
+ * A drawing context that implements the subset of CanvasRenderingContext2D used by
+ * PedigreeMaker and records it as SVG markup. It can be swapped in for the canvas
+ * context to produce vector output from the same drawing code.
+ */
+class PedigreeSVGContext {
+    /**
+     * @param {number} width Width of the SVG document, in pixels.
+     * @param {number} height Height of the SVG document, in pixels.
+     * @param {Object} [options]
+     * @param {Array<number>} [options.viewBox] The [x, y, width, height] of the drawing to show.
+     * @param {string} [options.background] Fill colour for the background.
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.viewBox = options.viewBox || [0, 0, width, height];
+        this.background = options.background;
+        this.canvas = { width, height };
+
+        this.strokeStyle = '#000';
+        this.fillStyle = '#000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this.shadowColor = 'transparent';
+        this.shadowBlur = 0;
+
+        this._body = [];
+        this._defs = [];
+        this._path = '';
+        this._current = null;
+        this._lineDash = [];
+        this._transform = [1, 0, 0, 1, 0, 0];
+        this._stack = [];
+        this._openGroups = 0;
+        this._clipCount = 0;
+    }
+
+    static _escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static _number(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    _attributes(attributes) {
+        return Object.keys(attributes)
+            .filter(key => attributes[key] !== undefined && attributes[key] !== null)
+            .map(key => ` ${key}="${PedigreeSVGContext._escape(attributes[key])}"`)
+            .join('');
+    }
+
+    _transformAttribute() {
+        const [a, b, c, d, e, f] = this._transform;
+        if (a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0) return undefined;
+        return `matrix(${this._transform.map(PedigreeSVGContext._number).join(' ')})`;
+    }
+
+    _emit(tag, attributes, content) {
+        const attrs = this._attributes(Object.assign({
+            transform: this._transformAttribute(),
+            opacity: this.globalAlpha < 1 ? this.globalAlpha : undefined
+        }, attributes));
+        this._body.push(content === undefined ? `<${tag}${attrs}/>` : `<${tag}${attrs}>${content}</${tag}>`);
+    }
+
+    /**
+     * Opens a `<g>` element; everything drawn until endGroup() goes inside it.
+     * @param {Object} attributes Attributes of the group, e.g. { 'data-id': 'marc' }.
+     */
+    beginGroup(attributes = {}) {
+        this._body.push(`<g${this._attributes(attributes)}>`);
+        this._openGroups++;
+    }
+
+    endGroup() {
+        if (this._openGroups === 0) return;
+        this._body.push('</g>');
+        this._openGroups--;
+    }
+
+    save() {
+        this._stack.push({
+            strokeStyle: this.strokeStyle,
+            fillStyle: this.fillStyle,
+            lineWidth: this.lineWidth,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            globalAlpha: this.globalAlpha,
+            lineDash: this._lineDash.slice(),
+            transform: this._transform.slice(),
+            openGroups: this._openGroups
+        });
+    }
+
+    restore() {
+        const state = this._stack.pop();
+        if (!state) return;
+        // Close the clipping groups opened since the matching save()
+        while (this._openGroups > state.openGroups) {
+            this.endGroup();
+        }
+        this.strokeStyle = state.strokeStyle;
+        this.fillStyle = state.fillStyle;
+        this.lineWidth = state.lineWidth;
+        this.font = state.font;
+        this.textAlign = state.textAlign;
+        this.textBaseline = state.textBaseline;
+        this.globalAlpha = state.globalAlpha;
+        this._lineDash = state.lineDash;
+        this._transform = state.transform;
+    }
+
+    setLineDash(segments) {
+        this._lineDash = segments.slice();
+    }
+
+    getLineDash() {
+        return this._lineDash.slice();
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this._transform = [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this._transform = [1, 0, 0, 1, 0, 0];
+    }
+
+    transform(a, b, c, d, e, f) {
+        const [a0, b0, c0, d0, e0, f0] = this._transform;
+        this._transform = [
+            a0 * a + c0 * b, b0 * a + d0 * b,
+            a0 * c + c0 * d, b0 * c + d0 * d,
+            a0 * e + c0 * f + e0, b0 * e + d0 * f + f0
+        ];
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    clearRect() {
+        // Nothing to clear: an SVG document only contains what was drawn into it
+    }
+
+    beginPath() {
+        this._path = '';
+        this._current = null;
+    }
+
+    moveTo(x, y) {
+        const n = PedigreeSVGContext._number;
+        this._path += `M${n(x)} ${n(y)}`;
+        this._current = { x, y, startX: x, startY: y };
+    }
+
+    lineTo(x, y) {
+        if (!this._current) {
+            this.moveTo(x, y);
+            return;
+        }
+        const n = PedigreeSVGContext._number;
+        this._path += `L${n(x)} ${n(y)}`;
+        this._current = Object.assign(this._current, { x, y });
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this._current) this.moveTo(cpx, cpy);
+        const n = PedigreeSVGContext._number;
+        this._path += `Q${n(cpx)} ${n(cpy)} ${n(x)} ${n(y)}`;
+        this._current = Object.assign(this._current, { x, y });
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this._current) this.moveTo(cp1x, cp1y);
+        const n = PedigreeSVGContext._number;
+        this._path += `C${n(cp1x)} ${n(cp1y)} ${n(cp2x)} ${n(cp2y)} ${n(x)} ${n(y)}`;
+        this._current = Object.assign(this._current, { x, y });
+    }
+
+    closePath() {
+        if (!this._current) return;
+        this._path += 'Z';
+        this._current = Object.assign(this._current, { x: this._current.startX, y: this._current.startY });
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        const n = PedigreeSVGContext._number;
+        const point = angle => ({ x: x + radius * Math.cos(angle), y: y + radius * Math.sin(angle) });
+        let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        if (sweep < 0) sweep = sweep % (2 * Math.PI) + 2 * Math.PI;
+        sweep = Math.min(sweep, 2 * Math.PI);
+
+        const start = point(startAngle);
+        if (this._current) {
+            this.lineTo(start.x, start.y);
+        } else {
+            this.moveTo(start.x, start.y);
+        }
+
+        // SVG arcs cannot describe a full circle, so draw it as two halves
+        const direction = counterclockwise ? -1 : 1;
+        const segments = sweep >= 2 * Math.PI - 1e-9 ? 2 : 1;
+        const sweepFlag = counterclockwise ? 0 : 1;
+        for (let i = 1; i <= segments; i++) {
+            const angle = startAngle + direction * sweep * (i / segments);
+            const end = point(angle);
+            const largeArc = sweep / segments > Math.PI ? 1 : 0;
+            this._path += `A${n(radius)} ${n(radius)} 0 ${largeArc} ${sweepFlag} ${n(end.x)} ${n(end.y)}`;
+            this._current = Object.assign(this._current, { x: end.x, y: end.y });
+        }
+    }
+
+    stroke() {
+        if (!this._path) return;
+        this._emit('path', {
+            d: this._path,
+            fill: 'none',
+            stroke: this.strokeStyle,
+            'stroke-width': this.lineWidth,
+            'stroke-dasharray': this._lineDash.length > 0 ? this._lineDash.join(' ') : undefined
+        });
+    }
+
+    fill() {
+        if (!this._path) return;
+        this._emit('path', { d: this._path, fill: this.fillStyle, stroke: 'none' });
+    }
+
+    clip() {
+        if (!this._path) return;
+        const id = `pedigree-clip-${++this._clipCount}`;
+        this._defs.push(`<clipPath id="${id}"><path d="${this._path}"${this._attributes({ transform: this._transformAttribute() })}/></clipPath>`);
+        this.beginGroup({ 'clip-path': `url(#${id})` });
+    }
+
+    fillRect(x, y, width, height) {
+        this._emit('rect', { x, y, width, height, fill: this.fillStyle });
+    }
+
+    strokeRect(x, y, width, height) {
+        this._emit('rect', { x, y, width, height, fill: 'none', stroke: this.strokeStyle, 'stroke-width': this.lineWidth });
+    }
+
+    fillText(text, x, y) {
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        const baseline = { middle: 'middle', top: 'hanging', hanging: 'hanging', bottom: 'text-after-edge' }[this.textBaseline];
+        this._emit('text', {
+            x: PedigreeSVGContext._number(x),
+            y: PedigreeSVGContext._number(y),
+            style: `font: ${this.font}`,
+            fill: this.fillStyle,
+            'text-anchor': anchor,
+            'dominant-baseline': baseline
+        }, PedigreeSVGContext._escape(text));
+    }
+
+    measureText(text) {
+        // No layout engine here, so approximate with an average glyph width
+        const size = parseFloat((this.font.match(/([\d.]+)px/) || [])[1]) || 10;
+        return { width: String(text).length * size * 0.55 };
+    }
+
+    /**
+     * @returns {string} The recorded drawing as an SVG document.
+     */
+    toString() {
+        while (this._openGroups > 0) {
+            this.endGroup();
+        }
+        const n = PedigreeSVGContext._number;
+        const [x, y, width, height] = this.viewBox;
+        const background = this.background
+            ? `<rect x="${n(x)}" y="${n(y)}" width="${n(width)}" height="${n(height)}" fill="${PedigreeSVGContext._escape(this.background)}"/>`
+            : '';
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${n(this.width)}" height="${n(this.height)}" viewBox="${this.viewBox.map(n).join(' ')}">` +
+            (this._defs.length > 0 ? `<defs>${this._defs.join('')}</defs>` : '') +
+            background +
+            this._body.join('') +
+            '</svg>';
+    }
+}
+
+PedigreeMaker.SVGContext = PedigreeSVGContext;
+
+/**
+ * A drawing context that implements the same subset of CanvasRenderingContext2D as
+ * PedigreeSVGContext and records it as the pages of a PDF document. Coordinates are in
+ * points (1/72 inch) from the top-left corner of the page. Text is set in the standard
+ * Helvetica fonts, so the document needs no embedded fonts or network access.
+ */
+class PedigreePDFContext {
+    /**
+     * @param {number} width Width of each page, in points.
+     * @param {number} height Height of each page, in points.
+     * @param {Object} [options]
+     * @param {string} [options.title] Document title shown by PDF viewers.
+     * @param {string} [options.background] Fill colour for the background of every page.
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.title = options.title;
+        this.background = options.background;
+        this.canvas = { width, height };
+
+        this.strokeStyle = '#000';
+        this.fillStyle = '#000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this.shadowColor = 'transparent';
+        this.shadowBlur = 0;
+
+        this._pages = [];
+        this._fonts = [];
+        this._alphas = [];
+        this._path = [];
+        this._current = null;
+        this._lineDash = [];
+        this._transform = [1, 0, 0, 1, 0, 0];
+        this._stack = [];
+        this.addPage();
+    }
+
+    /**
+     * Starts a new page; everything drawn from now on goes onto it. The drawing state
+     * (styles, transform) carries over.
+     */
+    addPage() {
+        // Close the clipping states left open on the previous page
+        while (this._stack.length > 0) {
+            this.restore();
+        }
+        this._content = [];
+        this._pages.push(this._content);
+        if (this.background) {
+            const [r, g, b] = PedigreePDFContext._parseColor(this.background).rgb;
+            this._content.push(`${r} ${g} ${b} rg 0 0 ${this.width} ${this.height} re f`);
+        }
+    }
+
+    static _number(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Reads a CSS colour (#rgb, #rrggbb, #rrggbbaa, rgb(), rgba() or a common name) into
+     * PDF colour components between 0 and 1.
+     */
+    static _parseColor(color) {
+        const named = {
+            black: '#000', white: '#fff', red: '#f00', green: '#008000', blue: '#00f', yellow: '#ff0',
+            orange: '#ffa500', purple: '#800080', pink: '#ffc0cb', brown: '#a52a2a', gray: '#808080',
+            grey: '#808080', darkgray: '#a9a9a9', darkgrey: '#a9a9a9', lightgray: '#d3d3d3', lightgrey: '#d3d3d3',
+            silver: '#c0c0c0', navy: '#000080', teal: '#008080', maroon: '#800000', olive: '#808000',
+            lime: '#0f0', aqua: '#0ff', cyan: '#0ff', fuchsia: '#f0f', magenta: '#f0f'
+        };
+        const value = String(color).trim().toLowerCase();
+        if (value === 'transparent' || value === 'none') return { rgb: [0, 0, 0], alpha: 0 };
+        const hex = (named[value] || value).match(/^#([0-9a-f]{3,8})$/);
+        const n = PedigreePDFContext._number;
+        if (hex) {
+            let digits = hex[1];
+            if (digits.length <= 4) digits = digits.replace(/./g, digit => digit + digit);
+            const channel = i => parseInt(digits.slice(i * 2, i * 2 + 2), 16) / 255;
+            return {
+                rgb: [channel(0), channel(1), channel(2)].map(v => n(v)),
+                alpha: digits.length === 8 ? channel(3) : 1
+            };
+        }
+        const functional = value.match(/^rgba?\(([^)]*)\)$/);
+        if (functional) {
+            const parts = functional[1].split(/[\s,/]+/).filter(Boolean);
+            const component = part => (part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part) / 255);
+            const alpha = parts[3] === undefined ? 1 : (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]));
+            return { rgb: parts.slice(0, 3).map(part => n(Math.min(1, Math.max(0, component(part))))), alpha };
+        }
+        return { rgb: [0, 0, 0], alpha: 1 };
+    }
+
+    /**
+     * Encodes text as a PDF string in WinAnsiEncoding; characters it cannot show become "?".
+     */
+    static _string(text) {
+        const special = { '\u2212': 45, '\u2013': 150, '\u2014': 151, '\u2018': 145, '\u2019': 146, '\u201c': 147, '\u201d': 148, '\u2022': 149, '\u2026': 133, '\u20ac': 128 };
+        let result = '';
+        for (const char of String(text)) {
+            const code = special[char] || char.charCodeAt(0);
+            if (char === '(' || char === ')' || char === '\\') {
+                result += `\\${char}`;
+            } else if (code >= 32 && code < 127) {
+                result += String.fromCharCode(code);
+            } else if (code < 256 && (code >= 160 || special[char])) {
+                result += `\\${code.toString(8).padStart(3, '0')}`;
+            } else {
+                result += '?';
+            }
+        }
+        return `(${result})`;
+    }
+
+    _point(x, y) {
+        const [a, b, c, d, e, f] = this._transform;
+        const n = PedigreePDFContext._number;
+        // PDF pages grow upwards from the bottom-left corner
+        return `${n(a * x + c * y + e)} ${n(this.height - (b * x + d * y + f))}`;
+    }
+
+    _scaleFactor() {
+        const [a, b, c, d] = this._transform;
+        return Math.sqrt(Math.abs(a * d - b * c));
+    }
+
+    _alphaState(alpha) {
+        const value = PedigreePDFContext._number(Math.max(0, Math.min(1, alpha)));
+        let index = this._alphas.indexOf(value);
+        if (index === -1) index = this._alphas.push(value) - 1;
+        return `/GS${index} gs`;
+    }
+
+    _font() {
+        const size = parseFloat((this.font.match(/([\d.]+)px/) || [])[1]) || 10;
+        const bold = /\bbold\b|\b[6-9]00\b/.test(this.font);
+        const italic = /\bitalic\b|\boblique\b/.test(this.font);
+        const name = `Helvetica${bold || italic ? '-' : ''}${bold ? 'Bold' : ''}${italic ? 'Oblique' : ''}`;
+        let index = this._fonts.indexOf(name);
+        if (index === -1) index = this._fonts.push(name) - 1;
+        return { resource: `/F${index}`, size, bold };
+    }
+
+    save() {
+        this._stack.push({
+            strokeStyle: this.strokeStyle,
+            fillStyle: this.fillStyle,
+            lineWidth: this.lineWidth,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            globalAlpha: this.globalAlpha,
+            lineDash: this._lineDash.slice(),
+            transform: this._transform.slice()
+        });
+        // The PDF graphics state holds the clipping path
+        this._content.push('q');
+    }
+
+    restore() {
+        const state = this._stack.pop();
+        if (!state) return;
+        this._content.push('Q');
+        this.strokeStyle = state.strokeStyle;
+        this.fillStyle = state.fillStyle;
+        this.lineWidth = state.lineWidth;
+        this.font = state.font;
+        this.textAlign = state.textAlign;
+        this.textBaseline = state.textBaseline;
+        this.globalAlpha = state.globalAlpha;
+        this._lineDash = state.lineDash;
+        this._transform = state.transform;
+    }
+
+    setLineDash(segments) {
+        this._lineDash = segments.slice();
+    }
+
+    getLineDash() {
+        return this._lineDash.slice();
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this._transform = [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this._transform = [1, 0, 0, 1, 0, 0];
+    }
+
+    transform(a, b, c, d, e, f) {
+        const [a0, b0, c0, d0, e0, f0] = this._transform;
+        this._transform = [
+            a0 * a + c0 * b, b0 * a + d0 * b,
+            a0 * c + c0 * d, b0 * c + d0 * d,
+            a0 * e + c0 * f + e0, b0 * e + d0 * f + f0
+        ];
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    clearRect() {
+        // Nothing to clear: a page only contains what was drawn onto it
+    }
+
+    beginPath() {
+        this._path = [];
+        this._current = null;
+    }
+
+    moveTo(x, y) {
+        this._path.push(`${this._point(x, y)} m`);
+        this._current = { x, y, startX: x, startY: y };
+    }
+
+    lineTo(x, y) {
+        if (!this._current) {
+            this.moveTo(x, y);
+            return;
+        }
+        this._path.push(`${this._point(x, y)} l`);
+        this._current = Object.assign(this._current, { x, y });
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this._current) this.moveTo(cpx, cpy);
+        // PDF only has cubic curves; raise the degree
+        const { x: x0, y: y0 } = this._current;
+        this.bezierCurveTo(
+            x0 + (cpx - x0) * 2 / 3, y0 + (cpy - y0) * 2 / 3,
+            x + (cpx - x) * 2 / 3, y + (cpy - y) * 2 / 3,
+            x, y
+        );
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this._current) this.moveTo(cp1x, cp1y);
+        this._path.push(`${this._point(cp1x, cp1y)} ${this._point(cp2x, cp2y)} ${this._point(x, y)} c`);
+        this._current = Object.assign(this._current, { x, y });
+    }
+
+    closePath() {
+        if (!this._current) return;
+        this._path.push('h');
+        this._current = Object.assign(this._current, { x: this._current.startX, y: this._current.startY });
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        const point = angle => ({ x: x + radius * Math.cos(angle), y: y + radius * Math.sin(angle) });
+        let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        if (sweep < 0) sweep = sweep % (2 * Math.PI) + 2 * Math.PI;
+        sweep = Math.min(sweep, 2 * Math.PI);
+
+        const start = point(startAngle);
+        if (this._current) {
+            this.lineTo(start.x, start.y);
+        } else {
+            this.moveTo(start.x, start.y);
+        }
+
+        // Cubic Bezier curves of at most a quarter turn each
+        const direction = counterclockwise ? -1 : 1;
+        const segments = Math.max(1, Math.ceil(sweep / (Math.PI / 2) - 1e-9));
+        const step = direction * sweep / segments;
+        const handle = 4 / 3 * Math.tan(step / 4) * radius;
+        for (let i = 0; i < segments; i++) {
+            const from = startAngle + step * i;
+            const to = from + step;
+            const p0 = point(from);
+            const p3 = point(to);
+            this.bezierCurveTo(
+                p0.x - handle * Math.sin(from), p0.y + handle * Math.cos(from),
+                p3.x + handle * Math.sin(to), p3.y - handle * Math.cos(to),
+                p3.x, p3.y
+            );
+        }
+    }
+
+    stroke() {
+        if (this._path.length === 0) return;
+        const color = PedigreePDFContext._parseColor(this.strokeStyle);
+        if (color.alpha === 0) return;
+        const n = PedigreePDFContext._number;
+        const scale = this._scaleFactor();
+        const dash = this._lineDash.map(length => n(length * scale)).join(' ');
+        this._content.push(
+            `${this._alphaState(color.alpha * this.globalAlpha)} ${color.rgb.join(' ')} RG ${n(this.lineWidth * scale)} w [${dash}] 0 d`,
+            `${this._path.join(' ')} S`
+        );
+    }
+
+    fill() {
+        if (this._path.length === 0) return;
+        const color = PedigreePDFContext._parseColor(this.fillStyle);
+        if (color.alpha === 0) return;
+        this._content.push(
+            `${this._alphaState(color.alpha * this.globalAlpha)} ${color.rgb.join(' ')} rg`,
+            `${this._path.join(' ')} f`
+        );
+    }
+
+    clip() {
+        if (this._path.length === 0) return;
+        this._content.push(`${this._path.join(' ')} W n`);
+    }
+
+    fillRect(x, y, width, height) {
+        const path = this._path;
+        const current = this._current;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        this._path = path;
+        this._current = current;
+    }
+
+    strokeRect(x, y, width, height) {
+        const path = this._path;
+        const current = this._current;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+        this._path = path;
+        this._current = current;
+    }
+
+    fillText(text, x, y) {
+        const color = PedigreePDFContext._parseColor(this.fillStyle);
+        if (color.alpha === 0 || text === '') return;
+        const font = this._font();
+        const width = this.measureText(text).width;
+        const shiftX = { center: -width / 2, right: -width, end: -width }[this.textAlign] || 0;
+        const shiftY = { middle: font.size * 0.35, top: font.size * 0.75, hanging: font.size * 0.75, bottom: -font.size * 0.2 }[this.textBaseline] || 0;
+        const [a, b, c, d] = this._transform;
+        const scale = this._scaleFactor();
+        const n = PedigreePDFContext._number;
+        // The text matrix keeps any rotation of the transform and undoes the flip of the page
+        const matrix = [a / scale, -b / scale, -c / scale, d / scale].map(n).join(' ');
+        this._content.push(
+            `${this._alphaState(color.alpha * this.globalAlpha)} ${color.rgb.join(' ')} rg`,
+            `BT ${font.resource} ${n(font.size * scale)} Tf ${matrix} ${this._point(x + shiftX, y + shiftY)} Tm ${PedigreePDFContext._string(text)} Tj ET`
+        );
+    }
+
+    measureText(text) {
+        const { size, bold } = this._font();
+        const widths = bold ? PedigreePDFContext.boldWidths : PedigreePDFContext.widths;
+        let units = 0;
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            units += code >= 32 && code < 127 ? widths[code - 32] : 556;
+        }
+        return { width: units * size / 1000 };
+    }
+
+    /**
+     * @returns {string} The recorded pages as a PDF document.
+     */
+    toString() {
+        while (this._stack.length > 0) {
+            this.restore();
+        }
+        const objects = [];
+        const add = body => objects.push(body);
+        const date = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+        add('<< /Type /Catalog /Pages 2 0 R >>');
+        add(null); // The page tree, once the page objects are numbered
+        add(`<< /Producer (PedigreeMaker) /CreationDate (D:${date}Z)${this.title ? ` /Title ${PedigreePDFContext._string(this.title)}` : ''} >>`);
+        const fonts = this._fonts.map(name => add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`));
+        const resources = add('<< ' +
+            `/Font << ${fonts.map((number, i) => `/F${i} ${number} 0 R`).join(' ')} >> ` +
+            `/ExtGState << ${this._alphas.map((alpha, i) => `/GS${i} << /ca ${alpha} /CA ${alpha} >>`).join(' ')} >> >>`);
+        const n = PedigreePDFContext._number;
+        const kids = this._pages.map(content => {
+            const stream = content.join('\n');
+            const contents = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+            return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(this.width)} ${n(this.height)}] /Resources ${resources} 0 R /Contents ${contents} 0 R >>`);
+        });
+        objects[1] = `<< /Type /Pages /Kids [${kids.map(number => `${number} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+        // The cross-reference table needs the byte offset of every object; the file is ASCII
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((body, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        return pdf;
+    }
+}
+
+// Advance widths of the printable ASCII characters in Helvetica and Helvetica-Bold, in
+// thousandths of the font size
+PedigreePDFContext.widths = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+PedigreePDFContext.boldWidths = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Page sizes in points, portrait
+PedigreePDFContext.pageSizes = {
+    A4: [595.28, 841.89],
+    Letter: [612, 792]
+};
+
+PedigreeMaker.PDFContext = PedigreePDFContext;
+
+/**
+ * Built-in themes for setTheme() and `config.theme`. A theme sets config keys; its
+ * `palette` restyles the phenotypes in the order they are configured.
+ */
+PedigreeMaker.themes = {
+    default: {
+        lineColor: '#333',
+        lineWidth: 2,
+        font: '12px Arial',
+        background: null
+    },
+    // Black and white with patterns, for printing and photocopying
+    print: {
+        lineColor: '#000',
+        lineWidth: 1.5,
+        font: '12px Arial',
+        background: '#fff',
+        // Each pattern in black, then again in grey
+        palette: [
+            { facecolor: '#000', fillPattern: 'solid' },
+            { facecolor: '#000', fillPattern: 'hatch' },
+            { facecolor: '#000', fillPattern: 'dots' },
+            { facecolor: '#000', fillPattern: 'crosshatch' },
+            { facecolor: '#000', fillPattern: 'quadrant' },
+            { facecolor: '#888', fillPattern: 'solid' },
+            { facecolor: '#888', fillPattern: 'hatch' },
+            { facecolor: '#888', fillPattern: 'dots' },
+            { facecolor: '#888', fillPattern: 'crosshatch' },
+            { facecolor: '#888', fillPattern: 'quadrant' }
+        ]
+    },
+    highContrast: {
+        lineColor: '#000',
+        lineWidth: 3,
+        font: 'bold 14px Arial',
+        background: '#fff',
+        palette: [
+            { facecolor: '#000', fillPattern: 'solid' },
+            { facecolor: '#d55e00', fillPattern: 'solid' },
+            { facecolor: '#0072b2', fillPattern: 'hatch' },
+            { facecolor: '#000', fillPattern: 'crosshatch' }
+        ]
+    },
+    dark: {
+        lineColor: '#e0e0e0',
+        lineWidth: 2,
+        font: '12px Arial',
+        background: '#1e1e1e',
+        palette: [
+            { facecolor: '#8c8c8c' },
+            { facecolor: '#f48fb1' },
+            { facecolor: '#90caf9' },
+            { facecolor: '#a5d6a7' },
+            { facecolor: '#ffcc80' }
+        ]
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PedigreeMaker;
+}
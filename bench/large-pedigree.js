@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * large-pedigree
+ * Times the interactive paths of PedigreeMaker on a generated pedigree of several
+ * thousand individuals: construction with validation, full renders, the refresh of the
+ * hidden accessible table, hit testing, drag and pan frames, relationship queries and
+ * layout. Frame times are compared with the 16.7 ms budget of
+ * a 60 fps display.
+ *
+ * Usage: node bench/large-pedigree.js [individuals] [--layout auto]
+ *
+ * Drawing goes to a context that discards every call, so the times measure the library
+ * rather than the rasteriser. The canvas sits in a minimal document, so the chart adds
+ * its screen-reader elements as it does in a browser.
+ */
+
+const PedigreeMaker = require('../PedigreeMaker.js');
+
+const FRAME_BUDGET = 1000 / 60;
+
+/**
+ * A Canvas 2D context that accepts and discards every drawing call.
+ */
+class NullContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+    }
+
+    measureText(text) {
+        return { width: String(text).length * 6 };
+    }
+
+    getLineDash() {
+        return [];
+    }
+}
+['save', 'restore', 'setTransform', 'resetTransform', 'transform', 'translate', 'scale', 'clearRect',
+    'fillRect', 'strokeRect', 'beginPath', 'moveTo', 'lineTo', 'quadraticCurveTo', 'bezierCurveTo',
+    'closePath', 'rect', 'arc', 'ellipse', 'stroke', 'fill', 'clip', 'fillText', 'strokeText',
+    'setLineDash', 'drawImage'].forEach(method => {
+    NullContext.prototype[method] = function () {};
+});
+
+/**
+ * A bare element, enough for the screen-reader elements the chart adds beside its canvas.
+ */
+function createElement() {
+    const attributes = {};
+    return {
+        style: {},
+        innerHTML: '',
+        textContent: '',
+        setAttribute: (name, value) => { attributes[name] = String(value); },
+        getAttribute: name => (name in attributes ? attributes[name] : null)
+    };
+}
+
+/**
+ * A canvas element with a NullContext that records its event listeners, so pointer
+ * events can be dispatched to it. It has a parent to insert siblings into.
+ */
+function createCanvas(width, height) {
+    const listeners = {};
+    const attributes = {};
+    const canvas = {
+        width,
+        height,
+        style: {},
+        addEventListener: (type, listener) => (listeners[type] = listeners[type] || []).push(listener),
+        setAttribute: (name, value) => { attributes[name] = String(value); },
+        hasAttribute: name => name in attributes,
+        getBoundingClientRect: () => ({ left: 0, top: 0, width, height }),
+        dispatch: (type, event) => (listeners[type] || []).forEach(listener => listener(Object.assign({ type, preventDefault() {} }, event))),
+        ownerDocument: { createElement: () => createCanvas(width, height) },
+        parentNode: { insertBefore: () => {} },
+        nextSibling: null
+    };
+    const ctx = new NullContext(canvas);
+    canvas.getContext = () => ctx;
+    return canvas;
+}
+
+/**
+ * Generates a pedigree of founder couples and their descendants, generation by
+ * generation, with married-in partners. A seeded generator keeps runs comparable.
+ */
+function generatePedigree(size) {
+    let seed = 42;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+    const data = [];
+    const add = (sex, generation, x, attributes = {}) => {
+        const person = Object.assign({ id: `p${data.length + 1}`, name: `Person ${data.length + 1}`, sex, pos: { x, y: generation } }, attributes);
+        if (random() < 0.1) person.phenotypes = ['default_affected'];
+        data.push(person);
+        return person;
+    };
+
+    let couples = [];
+    let x = 0;
+    while (data.length < size * 0.02) {
+        const father = add('M', 0, x);
+        const mother = add('F', 0, x + 1, { mate: father.id });
+        couples.push([father, mother]);
+        x += 3;
+    }
+    for (let generation = 1; data.length < size && couples.length > 0; generation++) {
+        const next = [];
+        x = 0;
+        couples.forEach(([father, mother]) => {
+            const children = 1 + Math.floor(random() * 4);
+            for (let i = 0; i < children && data.length < size; i++) {
+                const child = add(random() < 0.5 ? 'M' : 'F', generation, x, { parents: [father.id, mother.id] });
+                x += 1;
+                if (random() < 0.6 && data.length < size) {
+                    const partner = add(child.sex === 'M' ? 'F' : 'M', generation, x, { mate: child.id });
+                    next.push(child.sex === 'M' ? [child, partner] : [partner, child]);
+                    x += 1;
+                }
+            }
+            x += 1;
+        });
+        couples = next;
+    }
+    data[data.length - 1].isProband = true;
+    return data;
+}
+
+function time(label, runs, action, warmUp = true) {
+    if (warmUp) action();
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < runs; i++) action();
+    const ms = Number(process.hrtime.bigint() - start) / 1e6 / runs;
+    return { label, ms };
+}
+
+function report({ label, ms }, frame) {
+    const verdict = frame ? (ms <= FRAME_BUDGET ? '  within a 60 fps frame' : '  OVER the 60 fps frame budget') : '';
+    console.log(`${label.padEnd(40)} ${ms.toFixed(2).padStart(10)} ms${verdict}`);
+}
+
+function main(argv) {
+    const size = Number(argv.find(arg => /^\d+$/.test(arg))) || 5000;
+    const layout = argv.includes('--layout') ? argv[argv.indexOf('--layout') + 1] : 'grid';
+    const data = generatePedigree(size);
+    const canvas = createCanvas(1600, 1000);
+    if (typeof document === 'undefined') {
+        global.document = { createElement };
+    }
+    console.log(`${data.length} individuals, ${layout} layout\n`);
+
+    // Constructed once only: every instance listens to the canvas
+    let pedigree;
+    report(time('construct', 1, () => {
+        pedigree = new PedigreeMaker(canvas, data, { layout });
+    }, false));
+    report(time('render()', 5, () => pedigree.render()));
+    // render() leaves this to an idle callback, so it is timed on its own
+    report(time('accessible table refresh', 5, () => {
+        pedigree.accessibleTable.innerHTML = '';
+        pedigree._updateAccessibleTable();
+    }));
+
+    const people = pedigree.data.filter((person, i) => i % Math.ceil(pedigree.data.length / 50) === 0);
+    const screen = person => {
+        const coord = pedigree.nodeCoords[person.id] || pedigree._getPixelCoords(person.pos.x, person.pos.y);
+        return { clientX: coord.x * pedigree.view.scale + pedigree.view.x, clientY: coord.y * pedigree.view.scale + pedigree.view.y };
+    };
+    report(time('hit test (hover)', 200, () => {
+        canvas.dispatch('mousemove', screen(people[Math.floor(Math.random() * people.length)]));
+    }), true);
+
+    const target = people[Math.floor(people.length / 2)];
+    const start = screen(target);
+    canvas.dispatch('mousedown', start);
+    let step = 0;
+    report(time('drag frame', 60, () => {
+        step++;
+        canvas.dispatch('mousemove', { clientX: start.clientX + (step % 20) * 10, clientY: start.clientY });
+    }), true);
+    canvas.dispatch('mouseup', { clientX: start.clientX, clientY: start.clientY });
+    pedigree.undo();
+
+    canvas.dispatch('mousedown', { clientX: -50, clientY: -50 });
+    report(time('pan frame', 60, () => {
+        step++;
+        canvas.dispatch('mousemove', { clientX: -50 + (step % 20) * 5, clientY: -50 });
+    }), true);
+    canvas.dispatch('mouseup', { clientX: -50, clientY: -50 });
+
+    const proband = pedigree.data[pedigree.data.length - 1].id;
+    report(time('getRelationship() x 50', 1, () => people.forEach(person => pedigree.getRelationship(proband, person.id))));
+    report(time('toSVG()', 1, () => pedigree.toSVG()));
+    report(time('autoLayout()', 1, () => pedigree.autoLayout()));
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { main, generatePedigree, createCanvas };
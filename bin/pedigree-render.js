@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * pedigree-render
+ * Renders a pedigree file to SVG, PNG or PDF without a browser.
+ *
+ * Usage: node bin/pedigree-render.js <input> [options]
+ *
+ * The input is a JSON file holding either an array of individuals or
+ * `{ "data": [...], "config": {...} }`, a PLINK / LINKAGE .ped or .fam file, or a
+ * GEDCOM .ged file. SVG and PDF output need nothing else; PNG output needs the optional
+ * `canvas` package (node-canvas).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PedigreeMaker = require('../PedigreeMaker.js');
+
+const USAGE = `Usage: pedigree-render <input.json|.ped|.fam|.ged> [options]
+
+Options:
+  -o, --output <file>    Output file, .svg, .png or .pdf (default: the input name with the format's extension); - for stdout
+  -f, --format <format>  svg, png or pdf (default: from the output extension)
+  -c, --config <file>    JSON file with PedigreeMaker config keys
+  --margin <px>          Space around the chart (default: 20)
+  --background <color>   Background colour (default: the theme's, otherwise transparent)
+  --scale <factor>       Pixel density of PNG output (default: 1)
+  --phenotype <id>       Phenotype given to affected individuals of a PED file
+  --pageSize <size>      Paper of PDF output, A4 or Letter (default: A4)
+  --orientation <o>      portrait, landscape or auto (default: auto, whichever needs fewer pages)
+  --title <text>         Title in the PDF header
+  --clinician <name>     Clinician named in the PDF header
+  --date <text>          Date in the PDF header (default: today)
+  --anonymise            Replace names and ids with I-1, II-3..., turn ages into decades
+                         and drop free-text fields and the chart title
+                         (--anonymise='{"keepTitle":true}' keeps the title)
+  --<key> <value>        Any other config key, e.g. --hSpacing 120 --layout auto --theme print
+                         --phenotypes '{"bc":{"facecolor":"#f99","description":"Breast cancer"}}'
+                         Values are read as JSON when they parse, as text otherwise.
+  -h, --help             Show this help`;
+
+/**
+ * Splits the command line into the input file, output options and config overrides.
+ */
+function parseArguments(argv) {
+    const args = { config: {} };
+    const aliases = { '-o': 'output', '-f': 'format', '-c': 'configFile', '--config': 'configFile' };
+    const outputKeys = ['output', 'format', 'margin', 'background', 'scale', 'phenotype',
+        'pageSize', 'orientation', 'title', 'clinician', 'date'];
+    const flags = ['anonymise'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+            continue;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            if (args.input) throw new Error(`Unexpected argument "${arg}".`);
+            args.input = arg;
+            continue;
+        }
+
+        let [key, value] = arg.split(/=(.*)/s);
+        key = aliases[key] || key.replace(/^--?/, '');
+        if (flags.includes(key)) {
+            args[key] = value === undefined ? true : parseValue(value);
+            continue;
+        }
+        if (value === undefined) {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}.`);
+            value = argv[++i];
+        }
+        if (key === 'configFile' || outputKeys.includes(key)) {
+            args[key] = value;
+        } else {
+            args.config[key] = parseValue(value);
+        }
+    }
+    return args;
+}
+
+function parseValue(value) {
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Reads individuals (and any config stored alongside them) from the input file.
+ */
+function readPedigree(file, options) {
+    const text = fs.readFileSync(file, 'utf8');
+    switch (path.extname(file).toLowerCase()) {
+        case '.ped':
+        case '.fam':
+            return { data: PedigreeMaker.parsePED(text, { phenotype: options.phenotype }), config: {} };
+        case '.ged':
+            return { data: PedigreeMaker.parseGEDCOM(text), config: {} };
+        default: {
+            const json = JSON.parse(text);
+            return Array.isArray(json) ? { data: json, config: {} } : { data: json.data, config: json.config || {} };
+        }
+    }
+}
+
+function loadCanvas() {
+    try {
+        return require('canvas');
+    } catch (e) {
+        throw new Error('PNG output needs the "canvas" package: npm install canvas');
+    }
+}
+
+function main(argv) {
+    const args = parseArguments(argv);
+    if (args.help || !args.input) {
+        console.log(USAGE);
+        return args.help ? 0 : 1;
+    }
+
+    const format = (args.format || (args.output && args.output !== '-' && path.extname(args.output).slice(1)) || 'svg').toLowerCase();
+    if (!['svg', 'png', 'pdf'].includes(format)) {
+        throw new Error(`Unknown format "${format}". Use svg, png or pdf.`);
+    }
+    const output = args.output || `${args.input.replace(/\.[^./\\]+$/, '')}.${format}`;
+
+    const { data, config } = readPedigree(args.input, args);
+    const fileConfig = args.configFile ? JSON.parse(fs.readFileSync(args.configFile, 'utf8')) : {};
+    const options = Object.assign({}, config, fileConfig, args.config, { interactive: false });
+    const exportOptions = {
+        margin: args.margin === undefined ? undefined : Number(args.margin),
+        background: args.background,
+        anonymise: args.anonymise
+    };
+
+    // Rendering happens on a detached context; only the exported document is kept
+    const pedigree = new PedigreeMaker(new PedigreeMaker.SVGContext(1, 1), data, options);
+    let result;
+    if (format === 'svg') {
+        result = pedigree.toSVG(exportOptions);
+    } else if (format === 'pdf') {
+        result = pedigree.toPDF({
+            pageSize: args.pageSize,
+            orientation: args.orientation,
+            title: args.title,
+            clinician: args.clinician,
+            date: args.date,
+            background: args.background,
+            anonymise: args.anonymise
+        });
+    } else {
+        const { createCanvas } = loadCanvas();
+        exportOptions.scale = args.scale === undefined ? 1 : Number(args.scale);
+        exportOptions.createCanvas = createCanvas;
+        result = pedigree.toCanvas(exportOptions).toBuffer('image/png');
+    }
+
+    if (output === '-') {
+        process.stdout.write(result);
+    } else {
+        fs.writeFileSync(output, result);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`pedigree-render: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { main, parseArguments };
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChart } = require('./helpers.js');
+
+const family = () => [
+    { id: 'smith-john', name: 'John Smith\n52', sex: 'M', mate: 'wilma', age: 52, birthYear: 1970, notes: 'Lives in Leeds' },
+    { id: 'wilma', name: 'Wilma Smith', sex: 'F', isProband: true },
+    { id: 'kim', name: 'Kim', sex: 'F', parents: ['smith-john', 'wilma'], age: 23, phenotypes: ['default_affected'] }
+];
+
+test('getAnonymisedData() numbers everyone, keeps the relationships and drops free text', () => {
+    const chart = createChart(family());
+    const data = chart.getAnonymisedData();
+    assert.deepStrictEqual(data.map(person => person.id), ['I-1', 'I-2', 'II-1']);
+    assert.deepStrictEqual(data.map(person => person.name), ['I-1', 'I-2', 'II-1']);
+    assert.deepStrictEqual(data[2].parents, ['I-1', 'I-2']);
+    assert.deepStrictEqual(data[2].phenotypes, ['default_affected']);
+    assert.deepStrictEqual(data.map(person => person.age), ['50s', undefined, '20s']);
+    assert.strictEqual(JSON.stringify(data).includes('Leeds'), false);
+    assert.strictEqual('birthYear' in data[0], false);
+    assert.strictEqual(chart.data[0].id, 'smith-john');
+});
+
+test('ages can be removed and the sex of unaffected relatives masked', () => {
+    const data = createChart(family()).getAnonymisedData({ ages: 'remove', maskSex: true });
+    assert.strictEqual(data.some(person => 'age' in person), false);
+    assert.strictEqual(data[0].sex, undefined);
+    assert.strictEqual(data[1].sex, 'F');
+    assert.strictEqual(data[2].sex, 'F');
+});
+
+test('de-identified exports leave out names and the chart title unless keepTitle is set', () => {
+    const chart = createChart(family(), { header: { title: 'Smith family', informant: 'Jane Smith', date: '2024-05-01' } });
+    const svg = chart.toSVG({ anonymise: true });
+    assert.doesNotMatch(svg, /Smith|Wilma|Kim|Leeds/);
+    assert.match(svg, /II-1/);
+    assert.match(chart.toSVG({ anonymise: { keepTitle: true } }), /Smith family/);
+    assert.doesNotMatch(chart.toSVG({ anonymise: { keepTitle: true } }), /Jane Smith/);
+    assert.match(chart.toSVG(), /Jane Smith/);
+    assert.deepStrictEqual(chart.getData({ anonymise: true }), chart.getAnonymisedData());
+});
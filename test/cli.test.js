@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, parseArguments } = require('../bin/pedigree-render.js');
+
+const PED = 'F1 1 0 0 1 2\nF1 2 0 0 2 1\nF1 3 1 2 2 1\n';
+
+/**
+ * Runs `fn` with a scratch directory holding fam.ped, and removes the directory afterwards.
+ */
+function withPedFile(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pedigree-render-'));
+    try {
+        const input = path.join(dir, 'fam.ped');
+        fs.writeFileSync(input, PED);
+        fn(input, dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('parseArguments separates output options from config keys', () => {
+    const args = parseArguments(['fam.ped', '-o', 'out.pdf', '--hSpacing', '120', '--theme=print', '--anonymise']);
+    assert.strictEqual(args.input, 'fam.ped');
+    assert.strictEqual(args.output, 'out.pdf');
+    assert.strictEqual(args.anonymise, true);
+    assert.deepStrictEqual(args.config, { hSpacing: 120, theme: 'print' });
+    assert.throws(() => parseArguments(['fam.ped', '--margin']), /Missing value/);
+});
+
+test('the output is named after the input, with the extension of the format', () => {
+    withPedFile((input, dir) => {
+        assert.strictEqual(main([input]), 0);
+        assert.match(fs.readFileSync(path.join(dir, 'fam.svg'), 'utf8'), /^<svg/);
+
+        assert.strictEqual(main([input, '-f', 'pdf']), 0);
+        assert.match(fs.readFileSync(path.join(dir, 'fam.pdf'), 'latin1'), /^%PDF-/);
+        assert.doesNotMatch(fs.readFileSync(path.join(dir, 'fam.svg'), 'utf8'), /^%PDF-/);
+    });
+});
+
+test('the format follows the extension of an explicit output file', () => {
+    withPedFile((input, dir) => {
+        const output = path.join(dir, 'chart.pdf');
+        assert.strictEqual(main([input, '-o', output]), 0);
+        assert.match(fs.readFileSync(output, 'latin1'), /^%PDF-/);
+        assert.throws(() => main([input, '-o', path.join(dir, 'chart.gif')]), /Unknown format "gif"/);
+    });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChart, threeGenerations } = require('./helpers.js');
+
+const drawnIds = chart => [...chart.toSVG().matchAll(/data-id="([^"]+)"/g)].map(match => match[1]).sort();
+
+test('collapsing descendants hides them with their married-in partners and shows a +N marker', () => {
+    const chart = createChart(threeGenerations().concat([{ id: 'c1p', sex: 'M', mate: 'c1' }]));
+    chart.collapse('a');
+    assert.strictEqual(chart.isCollapsed('a'), true);
+    const hidden = chart._getHiddenIds();
+    assert.deepStrictEqual([...hidden].sort(), ['c1', 'c1p']);
+    assert.strictEqual(drawnIds(chart).includes('c1'), false);
+    assert.match(chart.toSVG(), />\+2</);
+
+    chart.expand('a');
+    assert.strictEqual(chart._getHiddenIds().size, 0);
+});
+
+test('collapsing ancestors keeps the individual and their own line', () => {
+    const chart = createChart(threeGenerations());
+    chart.collapse('c2', 'ancestors');
+    assert.deepStrictEqual([...chart._getHiddenIds()].sort(), ['a', 'aw', 'b', 'bh', 'c1', 'gf', 'gm', 'h']);
+    chart.toggleCollapse('c2', 'ancestors');
+    assert.strictEqual(chart.isCollapsed('c2', 'ancestors'), false);
+});
+
+test('showSide() keeps one parent\'s family; expandAll() shows everyone again', () => {
+    const chart = createChart(threeGenerations());
+    chart.showSide('paternal', 'c2');
+    const visible = drawnIds(chart);
+    assert.deepStrictEqual(visible, ['b', 'bh', 'c2']);
+
+    chart.showSide('maternal', 'c2');
+    assert.deepStrictEqual(drawnIds(chart), ['a', 'aw', 'b', 'bh', 'c1', 'c2', 'gf', 'gm', 'h']);
+    chart.collapse('a');
+    chart.expandAll();
+    assert.strictEqual(drawnIds(chart).length, 9);
+});
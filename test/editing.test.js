@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChart, threeGenerations } = require('./helpers.js');
+
+const person = (chart, id) => chart.data.find(other => other.id === id);
+
+test('addParents() and addParent() give an individual a father and a mother', () => {
+    const chart = createChart([{ id: 'child', sex: 'F' }]);
+    const { fatherId, motherId } = chart.addParents('child');
+    assert.deepStrictEqual(person(chart, 'child').parents, [fatherId, motherId]);
+    assert.strictEqual(person(chart, fatherId).sex, 'M');
+    assert.strictEqual(person(chart, motherId).sex, 'F');
+    assert.throws(() => chart.addParents('child'), /already has parents/);
+    assert.throws(() => chart.addParent('child', 'M'), /already has two parents/);
+
+    const other = createChart([{ id: 'child', sex: 'M' }]);
+    const mother = other.addParent('child', 'F', { name: 'Ann' });
+    assert.strictEqual(person(other, mother).name, 'Ann');
+    assert.deepStrictEqual(person(other, 'child').parents, [mother]);
+});
+
+test('addPartner(), addChild() and addSibling() link the new individuals', () => {
+    const chart = createChart([{ id: 'a', sex: 'M' }]);
+    const partner = chart.addPartner('a');
+    assert.strictEqual(person(chart, partner).sex, 'F');
+    const child = chart.addChild('a', { sex: 'F' });
+    assert.deepStrictEqual(person(chart, child).parents.slice().sort(), ['a', partner].sort());
+    const twin = chart.addSibling(child, { sex: 'F', twin: 'MZ' });
+    assert.deepStrictEqual(person(chart, twin).parents, person(chart, child).parents);
+    assert.strictEqual(chart.validate().length, 0);
+});
+
+test('updatePerson() changes and removes fields but not the id', () => {
+    const chart = createChart(threeGenerations());
+    chart.updatePerson('a', { name: 'Albert', deceased: true });
+    chart.updatePerson('b', { phenotypes: undefined });
+    assert.strictEqual(person(chart, 'a').name, 'Albert');
+    assert.strictEqual(person(chart, 'a').deceased, true);
+    assert.strictEqual('phenotypes' in person(chart, 'b'), false);
+    assert.throws(() => chart.updatePerson('nobody', { name: 'x' }), /not found/);
+});
+
+test('deletePerson() relinks children and removes partners who only married in', () => {
+    const chart = createChart(threeGenerations());
+    assert.deepStrictEqual(chart.deletePerson('a'), ['a']);
+    assert.deepStrictEqual(person(chart, 'c1').parents, ['aw']);
+    assert.strictEqual(chart.validate().filter(issue => issue.severity === 'error').length, 0);
+
+    const couple = createChart([{ id: 'a', sex: 'M', mate: 'w' }, { id: 'w', sex: 'F' }, { id: 'x', sex: 'F' }]);
+    assert.deepStrictEqual(couple.deletePerson('a').sort(), ['a', 'w']);
+    assert.deepStrictEqual(couple.data.map(other => other.id), ['x']);
+});
+
+test('the edit menu offers "Edit name" only when the host supplies onEditName', () => {
+    const plain = createChart(threeGenerations(), { editable: true });
+    const labels = chart => chart._getEditMenuItems(person(chart, 'a')).map(item => item.label);
+    assert.strictEqual(labels(plain).includes('Edit name…'), false);
+
+    let shown = null;
+    const chart = createChart(threeGenerations(), {
+        editable: true,
+        onEditName: (individual, rename) => {
+            shown = individual.id;
+            rename('Albert');
+        }
+    });
+    chart._getEditMenuItems(person(chart, 'a')).find(item => item.label === 'Edit name…').action();
+    assert.strictEqual(shown, 'a');
+    assert.strictEqual(person(chart, 'a').name, 'Albert');
+    assert.strictEqual(chart.canUndo(), true);
+});
@@ -0,0 +1,33 @@
+/**
+ * Shared fixtures for the tests: charts are drawn into an SVG context, so they run
+ * in Node without a canvas.
+ */
+
+const PedigreeMaker = require('../PedigreeMaker.js');
+
+/**
+ * A chart of `data` laid out from the relationships unless the options say otherwise.
+ */
+function createChart(data, options = {}) {
+    return new PedigreeMaker(new PedigreeMaker.SVGContext(1, 1), data, Object.assign({ layout: 'auto' }, options));
+}
+
+/**
+ * Three generations: two siblings with partners and a child each, and a paternal
+ * half-brother of the siblings. The parents of `b` are listed mother first.
+ */
+function threeGenerations() {
+    return [
+        { id: 'gf', sex: 'M', mate: 'gm' },
+        { id: 'gm', sex: 'F' },
+        { id: 'a', sex: 'M', parents: ['gf', 'gm'], mate: 'aw' },
+        { id: 'aw', sex: 'F' },
+        { id: 'b', sex: 'F', parents: ['gm', 'gf'], mate: 'bh', phenotypes: ['default_affected'] },
+        { id: 'bh', sex: 'M' },
+        { id: 'c1', sex: 'F', parents: ['a', 'aw'] },
+        { id: 'c2', sex: 'M', parents: ['bh', 'b'] },
+        { id: 'h', sex: 'M', parents: ['gf'] }
+    ];
+}
+
+module.exports = { PedigreeMaker, createChart, threeGenerations };
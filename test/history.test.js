@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChart, threeGenerations } = require('./helpers.js');
+
+test('undo and redo step through edits', () => {
+    const chart = createChart(threeGenerations());
+    assert.strictEqual(chart.canUndo(), false);
+
+    chart.updatePerson('a', { name: 'Albert' });
+    const child = chart.addChild('a', { sex: 'F' });
+    assert.strictEqual(chart.data.length, 10);
+
+    assert.strictEqual(chart.undo(), true);
+    assert.strictEqual(chart.data.some(person => person.id === child), false);
+    assert.strictEqual(chart.undo(), true);
+    assert.strictEqual(chart.data.find(person => person.id === 'a').name, undefined);
+    assert.strictEqual(chart.undo(), false);
+
+    assert.strictEqual(chart.redo(), true);
+    assert.strictEqual(chart.data.find(person => person.id === 'a').name, 'Albert');
+    assert.strictEqual(chart.redo(), true);
+    assert.strictEqual(chart.data.length, 10);
+    assert.strictEqual(chart.canRedo(), false);
+});
+
+test('a new edit clears the redo history', () => {
+    const chart = createChart(threeGenerations());
+    chart.updatePerson('a', { name: 'Albert' });
+    chart.undo();
+    assert.strictEqual(chart.canRedo(), true);
+    chart.updatePerson('b', { name: 'Beatrice' });
+    assert.strictEqual(chart.canRedo(), false);
+});
+
+test('undo and redo are reported as data changes', () => {
+    const chart = createChart(threeGenerations());
+    const changes = [];
+    chart.on('dataChange', ({ change }) => changes.push(change.type));
+    chart.updatePerson('a', { name: 'Albert' });
+    chart.undo();
+    chart.redo();
+    assert.deepStrictEqual(changes.slice(-2), ['undo', 'redo']);
+});
+
+test('optimizer swaps are only recorded as part of a change, and undo leaves the config alone', () => {
+    // "b" stands between her brother and his wife, so the optimizer swaps the siblings
+    const data = [
+        { id: 'f', sex: 'M', mate: 'm', pos: { x: 0, y: 0 } },
+        { id: 'm', sex: 'F', pos: { x: 1, y: 0 } },
+        { id: 'a', sex: 'M', parents: ['f', 'm'], mate: 'w', pos: { x: 0, y: 1 } },
+        { id: 'b', sex: 'F', parents: ['f', 'm'], pos: { x: 1, y: 1 } },
+        { id: 'w', sex: 'F', pos: { x: 2, y: 1 } }
+    ];
+    const chart = createChart(data, { layout: 'grid' });
+    chart.render();
+    assert.strictEqual(chart.data.find(person => person.id === 'a').pos.x, 1);
+    assert.strictEqual(chart.canUndo(), false);
+
+    chart.updatePerson('w', { name: 'Wendy' });
+    chart.undo();
+    assert.strictEqual(chart.config.autoLayoutOptimize, true);
+    assert.strictEqual(chart.data.find(person => person.id === 'a').pos.x, 1);
+
+    // Switching the optimizer is a setting, not a change to undo
+    chart.redo();
+    chart.toggleAutoLayoutOptimize();
+    assert.strictEqual(chart.undo(), true);
+    assert.strictEqual(chart.data.find(person => person.id === 'w').name, undefined);
+    assert.strictEqual(chart.config.autoLayoutOptimize, false);
+    assert.strictEqual(chart.canUndo(), false);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PedigreeMaker, createChart, threeGenerations } = require('./helpers.js');
+
+const byId = data => new Map(data.map(person => [person.id, person]));
+
+test('PED export lists the father before the mother and imports back', () => {
+    const chart = createChart(threeGenerations());
+    const ped = chart.exportPED();
+    assert.match(ped, /^FAM1\tb\tgf\tgm\t2\t2$/m);
+    assert.match(ped, /^FAM1\th\tgf\t0\t1\t1$/m);
+
+    const imported = byId(PedigreeMaker.parsePED(ped));
+    threeGenerations().forEach(person => {
+        const copy = imported.get(person.id);
+        assert.strictEqual(copy.sex, person.sex);
+        assert.deepStrictEqual((copy.parents || []).slice().sort(), (person.parents || []).slice().sort());
+        assert.strictEqual((copy.phenotypes || []).length, (person.phenotypes || []).length);
+    });
+    assert.deepStrictEqual(imported.get('b').parents, ['gf', 'gm']);
+});
+
+test('PED import keeps unknown affection and links the parents as mates', () => {
+    const data = PedigreeMaker.parsePED('F1 1 0 0 1 2\nF1 2 0 0 2 0\nF1 3 1 2 2 1\n');
+    const people = byId(data);
+    assert.deepStrictEqual(people.get('1').phenotypes, ['default_affected']);
+    assert.strictEqual(people.get('2').affection, 'unknown');
+    assert.deepStrictEqual(people.get('3').parents, ['1', '2']);
+    assert.strictEqual(people.get('1').mate, '2');
+});
+
+test('GEDCOM round-trip keeps sexes, phenotypes and the order of the parents', () => {
+    const chart = createChart(threeGenerations());
+    const imported = byId(PedigreeMaker.parseGEDCOM(chart.exportGEDCOM()));
+    threeGenerations().forEach(person => {
+        const copy = imported.get(person.id);
+        assert.strictEqual(copy.sex, person.sex);
+        assert.deepStrictEqual(copy.parents, person.parents);
+        assert.deepStrictEqual(copy.phenotypes, person.phenotypes);
+    });
+});
+
+test('GEDCOM families name the man as husband and the woman as wife', () => {
+    const chart = createChart([
+        { id: 'wife', sex: 'F', mate: 'husband' },
+        { id: 'husband', sex: 'M' },
+        { id: 'child', sex: 'F', parents: ['wife', 'husband'] }
+    ]);
+    const gedcom = chart.exportGEDCOM();
+    assert.match(gedcom, /1 HUSB @I2@/);
+    assert.match(gedcom, /1 WIFE @I1@/);
+    assert.deepStrictEqual(byId(PedigreeMaker.parseGEDCOM(gedcom)).get('child').parents, ['wife', 'husband']);
+});
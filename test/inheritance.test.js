@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChart } = require('./helpers.js');
+
+const compatibleModes = chart => {
+    const results = chart.checkInheritance();
+    return Object.keys(results).filter(mode => results[mode].compatible).sort();
+};
+
+test('an affected son of unaffected parents rules out the dominant and paternal modes', () => {
+    const chart = createChart([
+        { id: 'father', sex: 'M', mate: 'mother' },
+        { id: 'mother', sex: 'F' },
+        { id: 'son', sex: 'M', parents: ['father', 'mother'], phenotypes: ['default_affected'] }
+    ]);
+    assert.deepStrictEqual(compatibleModes(chart), ['AR', 'XLR']);
+    const conflict = chart.checkInheritance().AD.conflicts[0];
+    assert.deepStrictEqual(conflict.ids, ['son', 'father', 'mother']);
+    assert.match(conflict.message, /neither parent is/);
+});
+
+test('an affected father with an affected son and an unaffected daughter rules out XLD and MT', () => {
+    const chart = createChart([
+        { id: 'father', sex: 'M', mate: 'mother', phenotypes: ['default_affected'] },
+        { id: 'mother', sex: 'F' },
+        { id: 'son', sex: 'M', parents: ['father', 'mother'], phenotypes: ['default_affected'] },
+        { id: 'daughter', sex: 'F', parents: ['father', 'mother'] }
+    ]);
+    assert.deepStrictEqual(compatibleModes(chart), ['AD', 'AR', 'XLR', 'YL']);
+});
+
+test('individuals of unknown affection are not held against any mode', () => {
+    const chart = createChart([
+        { id: 'father', sex: 'M', mate: 'mother', affection: 'unknown' },
+        { id: 'mother', sex: 'F', affection: 'unknown' },
+        { id: 'daughter', sex: 'F', parents: ['father', 'mother'], phenotypes: ['default_affected'] }
+    ]);
+    assert.deepStrictEqual(compatibleModes(chart), ['AD', 'AR', 'MT', 'XLD', 'XLR']);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PedigreeMaker, threeGenerations } = require('./helpers.js');
+
+/**
+ * A canvas element that draws into an SVG context and lets the test fire its events.
+ */
+function createCanvas() {
+    const listeners = {};
+    const canvas = {
+        width: 800,
+        height: 500,
+        style: {},
+        attributes: {},
+        addEventListener: (type, listener) => { (listeners[type] = listeners[type] || []).push(listener); },
+        removeEventListener: () => {},
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: 800, height: 500 }),
+        hasAttribute: name => name in canvas.attributes,
+        setAttribute: (name, value) => { canvas.attributes[name] = value; },
+        fire: (type, event) => (listeners[type] || []).forEach(listener => listener(Object.assign({ type, preventDefault: () => {} }, event)))
+    };
+    const context = new PedigreeMaker.SVGContext(800, 500);
+    canvas.getContext = () => context;
+    return canvas;
+}
+
+test('a click selects without starting a drag; moving past the threshold drags', () => {
+    const canvas = createCanvas();
+    const chart = new PedigreeMaker(canvas, threeGenerations(), { layout: 'auto' });
+    chart.render();
+    const events = [];
+    ['dragStart', 'dragEnd', 'nodeClick', 'dataChange'].forEach(name => chart.on(name, () => events.push(name)));
+    const at = (id, dx = 0) => ({ clientX: chart.nodeCoords[id].x + dx, clientY: chart.nodeCoords[id].y });
+
+    canvas.fire('mousedown', at('c1'));
+    canvas.fire('mousemove', at('c1', 2));
+    canvas.fire('mouseup', at('c1', 2));
+    assert.deepStrictEqual(events, ['nodeClick']);
+    assert.deepStrictEqual(chart.getSelection(), ['c1']);
+    assert.strictEqual(chart.canUndo(), false);
+
+    events.length = 0;
+    canvas.fire('mousedown', at('h'));
+    canvas.fire('mousemove', at('h', chart.config.hSpacing * 2));
+    canvas.fire('mouseup', at('h', chart.config.hSpacing * 2));
+    assert.deepStrictEqual(events, ['dragStart', 'dragEnd', 'dataChange']);
+    assert.strictEqual(chart.canUndo(), true);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChart, threeGenerations } = require('./helpers.js');
+
+/**
+ * Four generations in which every couple has three children, each of whom marries
+ * into the family, 80 individuals in all.
+ */
+function largeFamily() {
+    const data = [{ id: 'p0', sex: 'M', mate: 'q0' }, { id: 'q0', sex: 'F' }];
+    let couples = [['p0', 'q0']];
+    for (let generation = 1; generation < 4; generation++) {
+        const next = [];
+        couples.forEach(([father, mother]) => {
+            for (let i = 0; i < 3; i++) {
+                const id = `${father}-${i}`;
+                const sex = i % 2 ? 'F' : 'M';
+                const partner = `${id}-partner`;
+                data.push({ id, sex, parents: [father, mother], mate: partner });
+                data.push({ id: partner, sex: sex === 'M' ? 'F' : 'M' });
+                next.push(sex === 'M' ? [id, partner] : [partner, id]);
+            }
+        });
+        couples = next;
+    }
+    return data;
+}
+
+const assertNoOverlap = chart => {
+    const rows = new Map();
+    chart.data.forEach(person => {
+        if (!rows.has(person.pos.y)) rows.set(person.pos.y, []);
+        rows.get(person.pos.y).push(person.pos.x);
+    });
+    rows.forEach((xs, y) => {
+        xs.sort((a, b) => a - b).forEach((x, i) => {
+            if (i > 0) assert.ok(x - xs[i - 1] >= 1, `individuals overlap at (${x}, ${y})`);
+        });
+    });
+};
+
+test('auto layout places everyone without overlaps, children below their parents', () => {
+    [threeGenerations(), largeFamily()].forEach(data => {
+        const chart = createChart(data);
+        assert.strictEqual(chart.data.every(person => person.pos), true);
+        assertNoOverlap(chart);
+        chart.data.forEach(person => (person.parents || []).forEach(parentId => {
+            const parent = chart.data.find(other => other.id === parentId);
+            assert.ok(person.pos.y > parent.pos.y, `"${person.id}" is not below "${parentId}"`);
+        }));
+    });
+});
+
+test('autoLayout() replaces overlapping grid positions', () => {
+    const data = threeGenerations().map(person => Object.assign({}, person, { pos: { x: 0, y: 0 } }));
+    const chart = createChart(data, { layout: 'grid' });
+    chart.autoLayout();
+    assertNoOverlap(chart);
+    assert.strictEqual(chart.canUndo(), true);
+});
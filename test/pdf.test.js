@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChart, threeGenerations } = require('./helpers.js');
+
+const pageCount = pdf => Number(pdf.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+
+/**
+ * A sibship of `size` children under one couple, far wider than a page at full scale.
+ */
+function wideSibship(size) {
+    const data = [{ id: 'f', sex: 'M', mate: 'm' }, { id: 'm', sex: 'F' }];
+    for (let i = 1; i <= size; i++) {
+        data.push({ id: `s${i}`, sex: i % 2 ? 'M' : 'F', parents: ['f', 'm'] });
+    }
+    return data;
+}
+
+test('PDF cross-reference table points at every object', () => {
+    const pdf = createChart(threeGenerations()).toPDF();
+    assert.match(pdf, /^%PDF-1\.4\n/);
+
+    const startxref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.strictEqual(pdf.slice(startxref, startxref + 5), 'xref\n');
+    const [, first, count] = pdf.slice(startxref).match(/^xref\n(\d+) (\d+)\n/);
+    assert.strictEqual(Number(first), 0);
+    const entries = pdf.slice(startxref).split('\n').slice(2, 2 + Number(count));
+    assert.strictEqual(entries[0], '0000000000 65535 f ');
+    entries.slice(1).forEach((entry, i) => {
+        assert.match(entry, /^\d{10} 00000 n $/);
+        const offset = Number(entry.slice(0, 10));
+        assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, offset), `object ${i + 1} is not at offset ${offset}`);
+    });
+    assert.match(pdf, new RegExp(`/Size ${count} `));
+});
+
+test('PDF export tiles a wide chart across pages and numbers them', () => {
+    const chart = createChart(wideSibship(60));
+    const pdf = chart.toPDF({ orientation: 'portrait' });
+    const pages = pageCount(pdf);
+    assert.ok(pages > 1, `expected several pages, got ${pages}`);
+    for (let page = 1; page <= pages; page++) {
+        assert.ok(pdf.includes(`(Page ${page} of ${pages})`), `page ${page} is not numbered`);
+    }
+    // Every page repeats the header
+    assert.strictEqual(pdf.split('(Pedigree) Tj').length - 1, pages);
+
+    const fitted = chart.toPDF({ orientation: 'portrait', fitToPage: true });
+    assert.strictEqual(pageCount(fitted), 1);
+    assert.ok(fitted.includes('(Page 1 of 1)'));
+});
+
+test('PDF export picks the orientation that needs fewer pages', () => {
+    const chart = createChart(wideSibship(30));
+    const portrait = pageCount(chart.toPDF({ orientation: 'portrait' }));
+    const auto = chart.toPDF();
+    assert.ok(pageCount(auto) <= portrait);
+    assert.throws(() => chart.toPDF({ pageSize: 'A5' }), /Unknown page size "A5"/);
+    assert.throws(() => chart.toPDF({ orientation: 'diagonal' }), /Unknown orientation/);
+});
+
+test('anonymised PDF leaves out the names and the identifying header', () => {
+    const data = threeGenerations();
+    data[0].name = 'George Smith';
+    const chart = createChart(data, { header: { title: 'Smith family', informant: 'Jane Smith', date: '2024-03-01' } });
+
+    const plain = chart.toPDF();
+    assert.ok(plain.includes('Smith family'));
+    assert.ok(plain.includes('Jane Smith'));
+
+    const pdf = chart.toPDF({ anonymise: true });
+    assert.ok(!pdf.includes('Smith'));
+    assert.ok(!pdf.includes('2024-03-01'));
+    assert.ok(pdf.includes('(Pedigree)'));
+    assert.strictEqual(chart.config.header.title, 'Smith family', 'the chart keeps its own header');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChart, threeGenerations } = require('./helpers.js');
+
+test('coefficientOfRelationship follows the shared ancestry', () => {
+    const chart = createChart(threeGenerations());
+    assert.strictEqual(chart.coefficientOfRelationship('a', 'a'), 1);
+    assert.strictEqual(chart.coefficientOfRelationship('a', 'b'), 0.5);
+    assert.strictEqual(chart.coefficientOfRelationship('c1', 'gf'), 0.25);
+    assert.strictEqual(chart.coefficientOfRelationship('c1', 'c2'), 0.125);
+    assert.strictEqual(chart.coefficientOfRelationship('a', 'h'), 0.25);
+    assert.strictEqual(chart.coefficientOfRelationship('c1', 'bh'), 0);
+});
+
+test('getRelationship names the relative and the side of the family', () => {
+    const chart = createChart(threeGenerations());
+    const cousin = chart.getRelationship('c1', 'c2');
+    assert.strictEqual(cousin.label, 'paternal first cousin');
+    assert.strictEqual(cousin.degree, 3);
+    assert.deepStrictEqual(cousin.commonAncestors.sort(), ['gf', 'gm']);
+
+    assert.strictEqual(chart.getRelationship('a', 'b').label, 'sister');
+    assert.strictEqual(chart.getRelationship('a', 'c2').label, 'nephew');
+    assert.strictEqual(chart.getRelationship('a', 'h').label, 'paternal half-brother');
+    assert.strictEqual(chart.getRelationship('c1', 'aw').label, 'mother');
+    assert.strictEqual(chart.getRelationship('a', 'aw').label, 'partner');
+    assert.strictEqual(chart.getRelationship('c1', 'bh').degree, null);
+});
+
+test('relationships follow edits to the data', () => {
+    const chart = createChart(threeGenerations());
+    const child = chart.addChild('c1', { sex: 'M' });
+    assert.strictEqual(chart.getRelationship(child, 'a').label, 'maternal grandfather');
+    assert.strictEqual(chart.coefficientOfRelationship(child, 'c2'), 0.0625);
+});
+
+test('render() works on data the host replaced since the last render', () => {
+    const data = [
+        { id: 'f', sex: 'M', mate: 'm', pos: { x: 0, y: 0 } },
+        { id: 'm', sex: 'F', pos: { x: 1, y: 0 } },
+        { id: 'a', sex: 'M', parents: ['f', 'm'], mate: 'w', pos: { x: 0, y: 1 } },
+        { id: 'b', sex: 'F', parents: ['f', 'm'], pos: { x: 2, y: 1 } },
+        { id: 'w', sex: 'F', pos: { x: 1, y: 1 } }
+    ];
+    const chart = createChart(data, { layout: 'grid' });
+    chart.render();
+    assert.strictEqual(chart.getRelationship('a', 'b').label, 'sister');
+
+    // Swap the places of the sister and the wife, in new objects, so the sister stands between the couple
+    chart.data.forEach((person, i) => {
+        chart.data[i] = Object.assign({}, person, { pos: Object.assign({}, person.pos) });
+    });
+    chart.data.find(person => person.id === 'b').pos.x = 1;
+    chart.data.find(person => person.id === 'w').pos.x = 2;
+    chart.render();
+    assert.strictEqual(chart.data.find(person => person.id === 'a').pos.x, 1);
+    assert.strictEqual(chart.data.find(person => person.id === 'b').pos.x, 0);
+});
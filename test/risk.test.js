@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChart } = require('./helpers.js');
+
+const close = (actual, expected, tolerance = 1e-3) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+
+test('AR: parents of an affected child are carriers, an unaffected sibling is one with 2/3', () => {
+    const chart = createChart([
+        { id: 'father', sex: 'M', mate: 'mother' },
+        { id: 'mother', sex: 'F' },
+        { id: 'affected', sex: 'M', parents: ['father', 'mother'], phenotypes: ['default_affected'] },
+        { id: 'sister', sex: 'F', parents: ['father', 'mother'] }
+    ]);
+    const risk = chart.calculateRisk({ mode: 'AR' });
+    close(risk.father.posterior.carrier, 1);
+    close(risk.mother.posterior.carrier, 1);
+    close(risk.sister.prior.carrier, 0.5);
+    close(risk.sister.posterior.carrier, 2 / 3);
+    close(risk.sister.posterior.affected, 0);
+});
+
+test('XLR: the daughter of an affected man is a carrier and her son is affected with 1/2', () => {
+    const chart = createChart([
+        { id: 'grandfather', sex: 'M', mate: 'grandmother', phenotypes: ['default_affected'] },
+        { id: 'grandmother', sex: 'F' },
+        { id: 'mother', sex: 'F', parents: ['grandfather', 'grandmother'], mate: 'father' },
+        { id: 'father', sex: 'M' },
+        { id: 'son', sex: 'M', parents: ['father', 'mother'], affection: 'unknown' }
+    ]);
+    const risk = chart.calculateRisk({ mode: 'XLR' });
+    close(risk.mother.posterior.carrier, 1);
+    close(risk.son.posterior.affected, 0.5);
+    close(risk.father.posterior.affected, 0);
+});
+
+test('AD with reduced penetrance: an unaffected child of an affected parent carries the variant with 1/6', () => {
+    const chart = createChart([
+        { id: 'parent', sex: 'M', mate: 'partner', phenotypes: ['default_affected'] },
+        { id: 'partner', sex: 'F' },
+        { id: 'child', sex: 'F', parents: ['parent', 'partner'] }
+    ]);
+    const risk = chart.calculateRisk({ mode: 'AD', penetrance: 0.8 });
+    // 0.5 * 0.2 / (0.5 * 0.2 + 0.5)
+    close(risk.child.prior.carrier, 0.5);
+    close(risk.child.posterior.carrier, 1 / 6);
+    close(risk.child.posterior.affected, 0.8 / 6);
+});
+
+test('an unsupported inheritance mode is rejected', () => {
+    const chart = createChart([{ id: 'a', sex: 'M' }]);
+    assert.throws(() => chart.calculateRisk({ mode: 'MT' }), /Unsupported inheritance mode/);
+});
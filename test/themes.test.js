@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PedigreeMaker, createChart, threeGenerations } = require('./helpers.js');
+
+const phenotypes = count => {
+    const result = {};
+    for (let i = 0; i < count; i++) result[`p${i}`] = { facecolor: '#c00', description: `Phenotype ${i}` };
+    return result;
+};
+
+test('the print palette gives ten phenotypes distinct styles', () => {
+    const styles = PedigreeMaker.themes.print.palette.map(style => `${style.facecolor} ${style.fillPattern}`);
+    assert.strictEqual(new Set(styles).size, 10);
+
+    const chart = createChart(threeGenerations(), { theme: 'print', phenotypes: phenotypes(9) });
+    assert.deepStrictEqual(chart.themeWarnings, []);
+    assert.strictEqual(chart.config.phenotypes.p8.facecolor, '#888');
+});
+
+test('phenotypes sharing a palette style are a theme warning, not a data issue', () => {
+    const data = threeGenerations().map(person => Object.assign({}, person, { phenotypes: ['p0'] }));
+    const chart = createChart(data, { phenotypes: phenotypes(7), highlightInvalid: true });
+    const warnings = [];
+    chart.on('themeWarning', event => warnings.push(...event.warnings));
+
+    chart.setTheme('dark');
+    assert.deepStrictEqual(warnings.map(warning => warning.phenotypes), [['p4', 'default_affected'], ['p5', 'p0'], ['p6', 'p1']]);
+    assert.deepStrictEqual(chart.themeWarnings, warnings);
+    assert.deepStrictEqual(chart.validationIssues, []);
+
+    chart.setTheme('default');
+    assert.deepStrictEqual(chart.themeWarnings, []);
+});
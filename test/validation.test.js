@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChart, threeGenerations } = require('./helpers.js');
+
+const types = chart => chart.validationIssues.map(issue => issue.type).sort();
+
+test('validate() reports structural problems with the individuals involved', () => {
+    const chart = createChart([
+        { id: 'a', sex: 'M', mate: 'ghost' },
+        { id: 'b', sex: 'F', parents: ['b'] },
+        { id: 'c', sex: 'M', parents: ['a', 'missing'] }
+    ], { layout: 'grid' });
+    assert.deepStrictEqual(types(chart), ['dangling-mate', 'dangling-parent', 'self-reference']);
+    const dangling = chart.validationIssues.find(issue => issue.type === 'dangling-parent');
+    assert.strictEqual(dangling.severity, 'error');
+    assert.deepStrictEqual(dangling.ids, ['c']);
+});
+
+test('repeated and missing ids are reported instead of breaking the layout', () => {
+    ['grid', 'auto'].forEach(layout => {
+        const data = threeGenerations().concat([{ id: 'c1', sex: 'M', parents: ['a', 'aw'] }, { sex: 'F' }]);
+        const chart = createChart(data, { layout });
+        assert.deepStrictEqual(types(chart), ['duplicate-id', 'missing-id']);
+        assert.strictEqual(chart.data.every(person => person.pos), true);
+        assert.doesNotThrow(() => chart.toSVG());
+    });
+});
+
+test("'throw' rejects invalid data and setData() keeps the previous data", () => {
+    assert.throws(() => createChart([{ id: 'a', parents: ['nobody'] }], { validation: 'throw' }), /Invalid pedigree data/);
+    const chart = createChart(threeGenerations(), { validation: 'throw' });
+    assert.throws(() => chart.setData([{ id: 'a' }, { id: 'a' }]), error => error.issues[0].type === 'duplicate-id');
+    assert.strictEqual(chart.data.length, threeGenerations().length);
+});
+
+test("issues are reported through the 'validate' event and only logged in 'warn' mode", t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const data = [{ id: 'a', sex: 'M', parents: ['nobody'] }];
+
+    const chart = createChart(data);
+    const reports = [];
+    chart.on('validate', ({ issues }) => reports.push(issues.length));
+    chart.render();
+    chart.render();
+    chart.updatePerson('a', { parents: [] });
+    assert.deepStrictEqual(reports, [1, 0]);
+    assert.strictEqual(warn.mock.callCount(), 0);
+
+    createChart(data, { validation: 'warn' });
+    assert.strictEqual(warn.mock.callCount(), 1);
+});